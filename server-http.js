@@ -1,233 +1,184 @@
-import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { randomUUID } from "node:crypto";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
 import express from "express";
-import {
-  CallToolRequestSchema,
-  ListToolsRequestSchema,
-} from "@modelcontextprotocol/sdk/types.js";
-
-// Create the MCP server instance
-const server = new Server(
-  {
-    name: "text-utilities-mcp",
-    version: "1.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+import { toolNames } from "./server/tools/index.js";
+import { SERVER_NAME, SERVER_VERSION, createMcpServer } from "./server/mcp-server.js";
+import { createLogger } from "./server/logger.js";
+import { createSessionStore } from "./server/http/sessions.js";
+import { createAuthenticator, findForbiddenToolCall, loadApiKeys } from "./server/http/auth.js";
+import { createOriginValidator, isLoopbackAddress, loadOriginPolicy } from "./server/http/origin.js";
+import { RATE_LIMITED_ERROR_CODE, clientKey, createRateLimiter } from "./server/http/rate-limit.js";
+import { createGauge, renderMetrics } from "./server/metrics.js";
+
+const logger = createLogger({ name: SERVER_NAME, stream: process.stdout });
+
+// Per-client token buckets for requests and tool input characters
+const rateLimiter = createRateLimiter({
+  requestsPerMinute: Number(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE ?? 120),
+  charactersPerMinute: Number(process.env.RATE_LIMIT_CHARACTERS_PER_MINUTE ?? 5000000),
+  logger,
+});
+
+// Create an MCP server instance for one client session with the shared
+// tool handlers (same schemas and results as stdio)
+function createServer(req) {
+  const key = clientKey(req);
+  return createMcpServer({
+    logger: logger.child({ client: req.auth?.clientId }),
+    beforeCall: (name, args) => rateLimiter.takeInput(key, name, args),
+  });
+}
 
-// Define multiple text utility tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+// JSON-RPC error body for Streamable HTTP requests rejected before reaching a transport
+function jsonRpcError(code, message, id = null, data) {
   return {
-    tools: [
-      {
-        name: "reverse_text",
-        description: "Reverses the order of characters in the given text",
-        inputSchema: {
-          type: "object",
-          properties: {
-            text: {
-              type: "string",
-              description: "The text to reverse",
-            },
-          },
-          required: ["text"],
-        },
-      },
-      {
-        name: "uppercase_text",
-        description: "Converts text to uppercase",
-        inputSchema: {
-          type: "object",
-          properties: {
-            text: {
-              type: "string",
-              description: "The text to convert to uppercase",
-            },
-          },
-          required: ["text"],
-        },
-      },
-      {
-        name: "lowercase_text",
-        description: "Converts text to lowercase",
-        inputSchema: {
-          type: "object",
-          properties: {
-            text: {
-              type: "string",
-              description: "The text to convert to lowercase",
-            },
-          },
-          required: ["text"],
-        },
-      },
-      {
-        name: "word_count",
-        description: "Counts the number of words in the given text",
-        inputSchema: {
-          type: "object",
-          properties: {
-            text: {
-              type: "string",
-              description: "The text to count words in",
-            },
-          },
-          required: ["text"],
-        },
-      },
-      {
-        name: "character_count",
-        description: "Counts the number of characters (including spaces) in the given text",
-        inputSchema: {
-          type: "object",
-          properties: {
-            text: {
-              type: "string",
-              description: "The text to count characters in",
-            },
-          },
-          required: ["text"],
-        },
-      },
-      {
-        name: "shuffle_text",
-        description: "Randomly shuffles the characters in the given text",
-        inputSchema: {
-          type: "object",
-          properties: {
-            text: {
-              type: "string",
-              description: "The text to shuffle",
-            },
-          },
-          required: ["text"],
-        },
-      },
-    ],
+    jsonrpc: "2.0",
+    error: { code, message, ...(data !== undefined && { data }) },
+    id,
   };
-});
+}
 
-// Handle tool execution
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  switch (name) {
-    case "reverse_text": {
-      const text = args?.text || "";
-      const reversed = text.split("").reverse().join("");
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Reversed text: ${reversed}`,
-          },
-        ],
-      };
-    }
+// Create an Express HTTP server
+const app = express();
+const PORT = process.env.PORT || 8081;
 
-    case "uppercase_text": {
-      const text = args?.text || "";
-      const uppercased = text.toUpperCase();
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Uppercase: ${uppercased}`,
-          },
-        ],
-      };
-    }
+// Bind to localhost unless told otherwise (e.g. HOST=0.0.0.0 in a container)
+const HOST = process.env.HOST || "127.0.0.1";
 
-    case "lowercase_text": {
-      const text = args?.text || "";
-      const lowercased = text.toLowerCase();
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Lowercase: ${lowercased}`,
-          },
-        ],
-      };
-    }
+// Behind a proxy, set TRUST_PROXY (hop count or address list) so req.ip is the
+// client address used for rate limiting
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 
-    case "word_count": {
-      const text = args?.text || "";
-      const words = text.trim().split(/\s+/).filter(word => word.length > 0);
-      const count = words.length;
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Word count: ${count} word${count !== 1 ? 's' : ''}`,
-          },
-        ],
-      };
-    }
+// Reject unknown Origin/Host headers (DNS rebinding) and answer CORS
+// preflights before anything else, so every endpoint is covered
+app.use(createOriginValidator(loadOriginPolicy(process.env, HOST), { logger }));
 
-    case "character_count": {
-      const text = args?.text || "";
-      const count = text.length;
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Character count: ${count} character${count !== 1 ? 's' : ''}`,
-          },
-        ],
-      };
-    }
+// Allow bodies large enough to carry MAX_INPUT_LENGTH characters so the
+// registry's validation (not the body parser) decides what is too large
+app.use(express.json({ limit: "4mb" }));
 
-    case "shuffle_text": {
-      const text = args?.text || "";
-      const chars = text.split("");
-      // Fisher-Yates shuffle
-      for (let i = chars.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [chars[i], chars[j]] = [chars[j], chars[i]];
-      }
-      const shuffled = chars.join("");
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Shuffled text: ${shuffled}`,
-          },
-        ],
-      };
-    }
+// Close sessions that have not sent a request for this long (30 minutes default)
+const SESSION_IDLE_TIMEOUT_MS = Number(process.env.SESSION_IDLE_TIMEOUT_MS) || 30 * 60 * 1000;
 
-    default:
-      throw new Error(`Unknown tool: ${name}`);
-  }
+// Maximum number of concurrent sessions across both transports
+const MAX_SESSIONS = Number(process.env.MAX_SESSIONS) || 100;
+
+// Active sessions, each with its own Server instance
+const sessions = createSessionStore({
+  maxSessions: MAX_SESSIONS,
+  idleTimeoutMs: SESSION_IDLE_TIMEOUT_MS,
+  logger,
 });
 
-// Create an Express HTTP server
-const app = express();
-const PORT = process.env.PORT || 8081;
+// Active sessions by transport, read at scrape time
+createGauge({
+  name: "mcp_active_sessions",
+  help: "Active sessions by transport",
+  collect: () =>
+    ["sse", "streamable"].map((transport) => ({
+      labels: { transport },
+      value: sessions.countByType()[transport] ?? 0,
+    })),
+});
+
+// API key authentication for every endpoint except /health
+// Without API keys, /sessions and /metrics answer 403 unless
+// PUBLIC_ADMIN_ENDPOINTS=true (e.g. for local development)
+const auth = createAuthenticator(loadApiKeys(), {
+  logger,
+  publicAdmin: process.env.PUBLIC_ADMIN_ENDPOINTS === "true",
+});
 
-app.use(express.json());
+// Only the client that opened a session may send messages to it
+function rejectIfNotSessionOwner(req, res, session, body) {
+  if (session.clientId === req.auth?.clientId) {
+    return false;
+  }
+  logger.warning("Rejected request for another client's session", {
+    client: req.auth?.clientId,
+    sessionId: session.id,
+  });
+  res.status(403).json(body);
+  return true;
+}
+
+// Reject tools/call requests for tools outside the client's allowlist
+function rejectIfToolForbidden(req, res, body) {
+  const toolName = findForbiddenToolCall(req.auth, req.body);
+  if (toolName === undefined) {
+    return false;
+  }
+  logger.warning("Rejected call to disallowed tool", { client: req.auth?.clientId, tool: toolName });
+  res.status(403).json(body(toolName));
+  return true;
+}
 
-const activeTransports = new Map();
+// Reject new sessions once MAX_SESSIONS is reached
+function rejectIfAtCapacity(res, body) {
+  if (sessions.hasCapacity()) {
+    return false;
+  }
+  logger.warning("Session limit reached, rejecting new session", { maxSessions: sessions.maxSessions });
+  res.set("Retry-After", "60").status(503).json(body);
+  return true;
+}
 
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.json({
     status: "ok",
-    name: "text-utilities-mcp",
-    version: "1.0.0",
-    tools: ["reverse_text", "uppercase_text", "lowercase_text", "word_count", "character_count", "shuffle_text"],
-    activeSessions: activeTransports.size
+    name: SERVER_NAME,
+    version: SERVER_VERSION,
+    tools: toolNames,
+    activeSessions: sessions.size,
+    maxSessions: sessions.maxSessions,
+  });
+});
+
+// Session admin endpoint
+app.get("/sessions", auth.authenticate, auth.requireAdmin, (req, res) => {
+  res.json({
+    activeSessions: sessions.size,
+    maxSessions: sessions.maxSessions,
+    idleTimeoutMs: sessions.idleTimeoutMs,
+    sessions: sessions.describe(),
   });
 });
 
+// Prometheus metrics endpoint
+app.get("/metrics", auth.authenticate, auth.requireAdmin, (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// 429 bodies for the legacy SSE endpoints
+const limitSSERequests = rateLimiter.limitRequests((req, retryAfterSeconds) => ({
+  error: "Too many requests",
+  retryAfterSeconds,
+}));
+
+// 429 bodies for /mcp answer the (first) request so the model sees it was throttled
+const limitMCPRequests = rateLimiter.limitRequests((req, retryAfterSeconds) => {
+  const message = Array.isArray(req.body) ? req.body[0] : req.body;
+  return jsonRpcError(
+    RATE_LIMITED_ERROR_CODE,
+    `Rate limited: too many requests. Retry after ${retryAfterSeconds} seconds.`,
+    message?.id ?? null,
+    { retryAfterSeconds }
+  );
+});
+
 // SSE endpoint
-app.get("/sse", async (req, res) => {
-  console.log("New SSE connection established");
+app.get("/sse", auth.authenticate, limitSSERequests, async (req, res) => {
+  if (rejectIfAtCapacity(res, { error: "Too many active sessions" })) {
+    return;
+  }
+
+  logger.debug("New SSE connection established");
 
   // Use MESSAGE_ENDPOINT env var to support path-based routing through Cloudflare Worker
   // If MESSAGE_ENDPOINT is a full URL, extract just the path (SSEServerTransport expects a relative path)
@@ -235,22 +186,19 @@ app.get("/sse", async (req, res) => {
   try {
     const url = new URL(messageEndpoint);
     messageEndpoint = url.pathname;
-    console.log(`Extracted message endpoint path from URL: ${messageEndpoint}`);
+    logger.debug("Extracted message endpoint path from URL", { messageEndpoint });
   } catch (e) {
     // Not a URL, assume it's already a path
-    console.log(`Using message endpoint as-is: ${messageEndpoint}`);
+    logger.debug("Using message endpoint as-is", { messageEndpoint });
   }
   
   const transport = new SSEServerTransport(messageEndpoint, res);
   const sessionId = transport.sessionId;
-  console.log(`Session created: ${sessionId}`);
+  const { server } = createServer(req);
 
-  activeTransports.set(sessionId, transport);
+  sessions.add(sessionId, { type: "sse", transport, server, clientId: req.auth?.clientId });
 
-  const cleanup = () => {
-    activeTransports.delete(sessionId);
-    console.log(`Session closed: ${sessionId}`);
-  };
+  const cleanup = () => sessions.remove(sessionId);
 
   res.on("close", cleanup);
   transport.onclose = cleanup;
@@ -259,39 +207,131 @@ app.get("/sse", async (req, res) => {
 });
 
 // Message endpoint
-app.post("/message", async (req, res) => {
+app.post("/message", auth.authenticate, limitSSERequests, async (req, res) => {
   const sessionId = req.query.sessionId;
 
-  console.log(`[MESSAGE] Received POST request with sessionId: ${sessionId}`);
-  console.log(`[MESSAGE] Active sessions: ${Array.from(activeTransports.keys()).join(', ')}`);
+  logger.debug("Received message", { sessionId });
 
   if (!sessionId) {
     return res.status(400).json({ error: "sessionId query parameter required" });
   }
 
-  const transport = activeTransports.get(sessionId);
+  const session = sessions.get(sessionId);
 
-  if (!transport) {
-    console.error(`[MESSAGE] Session not found: ${sessionId}`);
+  if (session?.type !== "sse") {
+    logger.warning("Message for unknown session", { sessionId });
     return res.status(400).json({ error: "No active session found" });
   }
   
-  console.log(`[MESSAGE] Session found, processing message for: ${sessionId}`);
+  if (rejectIfNotSessionOwner(req, res, session, { error: "Forbidden: session belongs to another client" })) {
+    return;
+  }
+
+  if (rejectIfToolForbidden(req, res, (toolName) => ({ error: `Forbidden: tool ${toolName} is not allowed` }))) {
+    return;
+  }
+
+  sessions.touch(sessionId);
 
   try {
-    await transport.handlePostMessage(req, res, req.body);
+    await session.transport.handlePostMessage(req, res, req.body);
   } catch (error) {
-    console.error("Error handling message:", error);
+    logger.error("Error handling message", { sessionId, error: error.message });
     if (!res.headersSent) {
       res.status(500).json({ error: "Internal server error" });
     }
   }
 });
 
+// Streamable HTTP endpoint: POST carries client messages (answered with JSON
+// or an SSE stream), GET opens the server-to-client stream and DELETE ends
+// the session. Sessions share the session store with SSE sessions.
+app.all("/mcp", auth.authenticate, limitMCPRequests, async (req, res) => {
+  const sessionId = req.headers["mcp-session-id"];
+  let transport;
+
+  if (sessionId) {
+    const session = sessions.get(sessionId);
+
+    if (session?.type !== "streamable") {
+      logger.warning("Request for unknown session", { sessionId });
+      return res.status(404).json(jsonRpcError(-32001, "Session not found"));
+    }
+
+    if (rejectIfNotSessionOwner(req, res, session, jsonRpcError(-32000, "Forbidden: session belongs to another client"))) {
+      return;
+    }
+
+    sessions.touch(sessionId);
+    transport = session.transport;
+  } else if (req.method === "POST" && isInitializeRequest(req.body)) {
+    if (rejectIfAtCapacity(res, jsonRpcError(-32000, "Too many active sessions"))) {
+      return;
+    }
+
+    const { server } = createServer(req);
+    transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        sessions.add(newSessionId, {
+          type: "streamable",
+          transport,
+          server,
+          clientId: req.auth?.clientId,
+        });
+      },
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        sessions.remove(transport.sessionId);
+      }
+    };
+
+    await server.connect(transport);
+  } else {
+    return res
+      .status(400)
+      .json(jsonRpcError(-32000, "Bad Request: Mcp-Session-Id header required"));
+  }
+
+  if (rejectIfToolForbidden(req, res, (toolName) => jsonRpcError(-32000, `Forbidden: tool ${toolName} is not allowed`))) {
+    return;
+  }
+
+  try {
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    logger.error("Error handling MCP request", { sessionId, error: error.message });
+    if (!res.headersSent) {
+      res.status(500).json(jsonRpcError(-32603, "Internal server error"));
+    }
+  }
+});
+
 // Start the HTTP server
-app.listen(PORT, () => {
-  console.log(`Text Utilities MCP running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`SSE endpoint: http://localhost:${PORT}/sse`);
-  console.log(`Available tools: reverse_text, uppercase_text, lowercase_text, word_count, character_count, shuffle_text`);
+const httpServer = app.listen(PORT, HOST, () => {
+  const { port } = httpServer.address();
+  logger.info(`Text Utilities MCP running on port ${port} (bound to ${HOST})`);
+  logger.info(`Health check: http://localhost:${port}/health`);
+  logger.info(`SSE endpoint: http://localhost:${port}/sse`);
+  logger.info(`Streamable HTTP endpoint: http://localhost:${port}/mcp`);
+  logger.info(`Available tools: ${toolNames.join(", ")}`);
+  if (!isLoopbackAddress(HOST) && !process.env.ALLOWED_HOSTS) {
+    logger.warning("Listening on a non-loopback address without ALLOWED_HOSTS, Host header validation is disabled");
+  }
+  if (!auth.enabled) {
+    logger.warning("No API keys configured (API_KEYS / AUTH_CONFIG_FILE), authentication is disabled");
+  }
 });
+
+// Graceful shutdown: close every session before exiting
+function shutdown() {
+  logger.info(`Shutting down ${SERVER_NAME}...`);
+  sessions.closeAll();
+  httpServer.close();
+  process.exit(0);
+}
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
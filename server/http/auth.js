@@ -0,0 +1,141 @@
+/**
+ * API key authentication for the HTTP server
+ *
+ * Keys come from the API_KEYS environment variable (comma-separated, full
+ * access) and/or a JSON file named by AUTH_CONFIG_FILE:
+ *
+ *   {
+ *     "keys": [
+ *       { "name": "ci", "key": "secret", "tools": ["word_count"], "admin": false }
+ *     ]
+ *   }
+ *
+ * Clients send a key as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * Authenticated requests carry an MCP AuthInfo on `req.auth`, which the SDK
+ * transports hand to request handlers as `extra.authInfo`. When no keys are
+ * configured, authentication is disabled and `req.auth` stays unset; admin
+ * endpoints are then closed unless `publicAdmin` opens them.
+ */
+
+import { createHash, timingSafeEqual } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { isToolAllowed } from "../tools/index.js";
+import { silentLogger } from "../logger.js";
+
+/**
+ * Load API keys from the environment
+ */
+export function loadApiKeys(env = process.env) {
+  const keys = [];
+
+  if (env.API_KEYS) {
+    env.API_KEYS.split(",")
+      .map((key) => key.trim())
+      .filter((key) => key.length > 0)
+      .forEach((key, index) => {
+        keys.push({ name: `key-${index + 1}`, key, tools: null, admin: true });
+      });
+  }
+
+  if (env.AUTH_CONFIG_FILE) {
+    const config = JSON.parse(readFileSync(env.AUTH_CONFIG_FILE, "utf8"));
+    for (const entry of config.keys ?? []) {
+      if (typeof entry.key !== "string" || entry.key.length === 0) {
+        throw new Error(`Invalid auth config: key "${entry.name}" has no key value`);
+      }
+      keys.push({
+        name: entry.name ?? `key-${keys.length + 1}`,
+        key: entry.key,
+        tools: Array.isArray(entry.tools) ? entry.tools : null,
+        admin: entry.admin === true,
+      });
+    }
+  }
+
+  return keys;
+}
+
+// Hash before comparing so timingSafeEqual sees equal-length buffers
+function digest(value) {
+  return createHash("sha256").update(value).digest();
+}
+
+// Extract the credential from the Authorization or X-API-Key header
+function readCredential(req) {
+  const authorization = req.headers.authorization;
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+  return req.headers["x-api-key"] ?? null;
+}
+
+/**
+ * Create the authentication middleware for the configured keys
+ */
+export function createAuthenticator(keys, { logger = silentLogger, publicAdmin = false } = {}) {
+  const entries = keys.map((entry) => ({ ...entry, digest: digest(entry.key) }));
+
+  function findKey(credential) {
+    const candidate = digest(credential);
+    return entries.find((entry) => timingSafeEqual(entry.digest, candidate));
+  }
+
+  // Express middleware: reject unauthenticated requests with 401
+  function authenticate(req, res, next) {
+    if (entries.length === 0) {
+      return next();
+    }
+
+    const credential = readCredential(req);
+    const entry = credential ? findKey(credential) : undefined;
+
+    if (!entry) {
+      logger.warning("Rejected unauthenticated request", {
+        method: req.method,
+        path: req.path,
+        reason: credential ? "invalid credentials" : "missing credentials",
+      });
+      res.set("WWW-Authenticate", 'Bearer realm="text-utilities-mcp"');
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    req.auth = {
+      token: entry.key,
+      clientId: entry.name,
+      scopes: entry.admin ? ["admin"] : [],
+      extra: { allowedTools: entry.tools },
+    };
+    next();
+  }
+
+  // Express middleware: only admin keys may use admin endpoints. Without
+  // keys nobody can be an admin, so they stay closed unless made public
+  function requireAdmin(req, res, next) {
+    if (entries.length === 0 && !publicAdmin) {
+      return res.status(403).json({ error: "Forbidden: admin endpoints require API keys to be configured" });
+    }
+    if (req.auth && !req.auth.scopes.includes("admin")) {
+      return res.status(403).json({ error: "Forbidden: admin key required" });
+    }
+    next();
+  }
+
+  return {
+    enabled: entries.length > 0,
+    authenticate,
+    requireAdmin,
+  };
+}
+
+/**
+ * Find a tools/call in a JSON-RPC message (or batch) that the client may not make
+ */
+export function findForbiddenToolCall(authInfo, body) {
+  const messages = Array.isArray(body) ? body : [body];
+  const call = messages.find(
+    (message) =>
+      message?.method === "tools/call" && !isToolAllowed(authInfo, message.params?.name)
+  );
+  return call?.params?.name;
+}
@@ -0,0 +1,109 @@
+/**
+ * Origin and Host validation for the HTTP server
+ *
+ * Browsers attach an Origin header to cross-origin requests, and a page that
+ * rebinds its own DNS name to 127.0.0.1 still sends its own hostname in the
+ * Host header. Rejecting unknown origins and hosts keeps web pages from
+ * driving a locally running server, while CORS headers let explicitly
+ * allowed browser clients through.
+ *
+ * Configuration (comma-separated lists):
+ * - ALLOWED_ORIGINS: origins allowed to make browser requests ("*" for any)
+ * - ALLOWED_HOSTS: accepted Host header names; defaults to localhost names
+ *   when the server is bound to a loopback address
+ */
+
+import { silentLogger } from "../logger.js";
+
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+const ALLOWED_METHODS = ["GET", "POST", "DELETE", "OPTIONS"];
+
+const ALLOWED_HEADERS = [
+  "Content-Type",
+  "Accept",
+  "Authorization",
+  "X-API-Key",
+  "Mcp-Session-Id",
+  "Mcp-Protocol-Version",
+  "Last-Event-ID",
+];
+
+const EXPOSED_HEADERS = ["Mcp-Session-Id", "WWW-Authenticate", "Retry-After"];
+
+// Split a comma-separated environment variable into a trimmed list
+function parseList(value) {
+  return (value ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+}
+
+/**
+ * Whether a bind address only accepts local connections
+ */
+export function isLoopbackAddress(host) {
+  return LOOPBACK_HOSTS.includes(host) || host === "::1" || host.startsWith("127.");
+}
+
+/**
+ * Load the origin/host policy from the environment
+ */
+export function loadOriginPolicy(env, bindHost) {
+  const allowedHosts = parseList(env.ALLOWED_HOSTS).map((host) => host.toLowerCase());
+
+  return {
+    allowedOrigins: parseList(env.ALLOWED_ORIGINS),
+    // Without explicit hosts, only validate Host when serving on loopback
+    allowedHosts:
+      allowedHosts.length > 0 ? allowedHosts : isLoopbackAddress(bindHost) ? LOOPBACK_HOSTS : null,
+  };
+}
+
+// Hostname part of a Host header ("example.com:8081" -> "example.com")
+function hostname(hostHeader) {
+  try {
+    return new URL(`http://${hostHeader}`).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create middleware enforcing the policy and answering CORS preflights
+ */
+export function createOriginValidator({ allowedOrigins, allowedHosts }, { logger = silentLogger } = {}) {
+  const allowAnyOrigin = allowedOrigins.includes("*");
+
+  return function validateOrigin(req, res, next) {
+    if (allowedHosts && !allowedHosts.includes(hostname(req.headers.host ?? ""))) {
+      logger.warning("Rejected request with disallowed Host", { host: req.headers.host });
+      return res.status(403).json({ error: "Forbidden: host not allowed" });
+    }
+
+    const origin = req.headers.origin;
+
+    // Requests without an Origin header do not come from a browser page
+    if (origin === undefined) {
+      return next();
+    }
+
+    if (!allowAnyOrigin && !allowedOrigins.includes(origin)) {
+      logger.warning("Rejected request from disallowed Origin", { origin });
+      return res.status(403).json({ error: "Forbidden: origin not allowed" });
+    }
+
+    res.set("Access-Control-Allow-Origin", origin);
+    res.set("Access-Control-Expose-Headers", EXPOSED_HEADERS.join(", "));
+    res.vary("Origin");
+
+    if (req.method === "OPTIONS") {
+      res.set("Access-Control-Allow-Methods", ALLOWED_METHODS.join(", "));
+      res.set("Access-Control-Allow-Headers", ALLOWED_HEADERS.join(", "));
+      res.set("Access-Control-Max-Age", "600");
+      return res.status(204).end();
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Per-client rate limiting for the HTTP server
+ *
+ * Two token buckets per client: one for HTTP requests and one for input
+ * characters passed to tools. Clients are identified by API key name when
+ * authentication is enabled, otherwise by IP address. Buckets refill
+ * continuously over a one-minute window.
+ *
+ * Configuration:
+ * - RATE_LIMIT_REQUESTS_PER_MINUTE (default 120, 0 disables)
+ * - RATE_LIMIT_CHARACTERS_PER_MINUTE (default 5000000, 0 disables)
+ */
+
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+import { inputLength } from "../tools/index.js";
+import { silentLogger } from "../logger.js";
+
+const WINDOW_MS = 60 * 1000;
+
+// JSON-RPC error code (implementation-defined server error range) for throttled calls
+export const RATE_LIMITED_ERROR_CODE = -32029;
+
+/**
+ * Create a token bucket limiter. Each key starts with a full bucket of
+ * `capacity` tokens that refills at `capacity` tokens per minute.
+ */
+export function createTokenBucket(capacity) {
+  const buckets = new Map();
+  const refillPerMs = capacity / WINDOW_MS;
+
+  // Drop buckets that have refilled completely; they carry no state
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= capacity) {
+        buckets.delete(key);
+      }
+    }
+  }, WINDOW_MS);
+  sweepTimer.unref();
+
+  /**
+   * Take `cost` tokens for `key`. Returns how long to wait when there are
+   * not enough tokens (retryAfterMs is Infinity if cost exceeds capacity).
+   */
+  function take(key, cost = 1) {
+    const now = Date.now();
+    const bucket = buckets.get(key) ?? { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    if (cost > capacity) {
+      return { allowed: false, retryAfterMs: Infinity };
+    }
+
+    if (bucket.tokens < cost) {
+      return { allowed: false, retryAfterMs: Math.ceil((cost - bucket.tokens) / refillPerMs) };
+    }
+
+    bucket.tokens -= cost;
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  return { capacity, take };
+}
+
+/**
+ * Identify the client for rate limiting: API key name, else IP address
+ */
+export function clientKey(req) {
+  return req.auth ? `key:${req.auth.clientId}` : `ip:${req.ip}`;
+}
+
+/**
+ * Create the request and input-character limiters
+ */
+export function createRateLimiter({ requestsPerMinute, charactersPerMinute, logger = silentLogger }) {
+  const requests = requestsPerMinute > 0 ? createTokenBucket(requestsPerMinute) : null;
+  const characters = charactersPerMinute > 0 ? createTokenBucket(charactersPerMinute) : null;
+
+  /**
+   * Express middleware limiting requests per client. `formatBody` builds the
+   * 429 response body from the request and the retry delay in seconds.
+   */
+  function limitRequests(formatBody) {
+    return (req, res, next) => {
+      if (!requests) {
+        return next();
+      }
+
+      const { allowed, retryAfterMs } = requests.take(clientKey(req));
+      if (allowed) {
+        return next();
+      }
+
+      const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+      logger.warning("Request limit exceeded", { client: clientKey(req), retryAfterSeconds });
+      res.set("Retry-After", String(retryAfterSeconds));
+      res.status(429).json(formatBody(req, retryAfterSeconds));
+    };
+  }
+
+  /**
+   * Charge a tool call's input characters to a client. Throws an McpError
+   * (returned to the client as a JSON-RPC error) when over quota.
+   */
+  function takeInput(key, toolName, args) {
+    if (!characters) {
+      return;
+    }
+
+    const length = inputLength(args);
+    const { allowed, retryAfterMs } = characters.take(key, length);
+    if (allowed) {
+      return;
+    }
+
+    if (retryAfterMs === Infinity) {
+      throw new McpError(
+        RATE_LIMITED_ERROR_CODE,
+        `Rate limited: ${toolName} input of ${length} characters exceeds the per-minute quota of ${characters.capacity} characters`,
+        { limit: characters.capacity }
+      );
+    }
+
+    const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+    logger.warning("Input quota exceeded", { client: key, retryAfterSeconds });
+    throw new McpError(
+      RATE_LIMITED_ERROR_CODE,
+      `Rate limited: input character quota of ${characters.capacity} per minute exhausted. Retry after ${retryAfterSeconds} seconds.`,
+      { limit: characters.capacity, retryAfterSeconds }
+    );
+  }
+
+  return { limitRequests, takeInput };
+}
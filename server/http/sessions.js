@@ -0,0 +1,167 @@
+/**
+ * Session registry for the HTTP server
+ *
+ * Tracks one entry per MCP session (legacy SSE or Streamable HTTP), each with
+ * its own Server instance, and reaps sessions that have been idle for longer
+ * than the configured timeout.
+ */
+
+import { sessionsClosed, sessionsOpened } from "../metrics.js";
+import { silentLogger } from "../logger.js";
+
+/**
+ * Create a session store.
+ *
+ * @param {object} options
+ * @param {number} options.maxSessions - Maximum number of concurrent sessions
+ * @param {number} options.idleTimeoutMs - Close sessions idle for this long
+ * @param {object} [options.logger] - Lifecycle logger
+ */
+export function createSessionStore({ maxSessions, idleTimeoutMs, logger = silentLogger }) {
+  const sessions = new Map();
+
+  // Check for idle sessions often enough to close them close to their deadline
+  const sweepIntervalMs = Math.max(1000, Math.min(60000, Math.floor(idleTimeoutMs / 2)));
+  const sweepTimer = setInterval(reapIdleSessions, sweepIntervalMs);
+  sweepTimer.unref();
+
+  function reapIdleSessions() {
+    const now = Date.now();
+    for (const session of sessions.values()) {
+      if (now - session.lastActivityAt >= idleTimeoutMs) {
+        logger.info("Closing idle session", {
+          sessionId: session.id,
+          idleMs: now - session.lastActivityAt,
+        });
+        close(session.id, "idle");
+      }
+    }
+  }
+
+  /**
+   * Whether another session can be opened without exceeding maxSessions
+   */
+  function hasCapacity() {
+    return sessions.size < maxSessions;
+  }
+
+  /**
+   * Register a connected session
+   */
+  function add(id, { type, transport, server, clientId }) {
+    const now = Date.now();
+    const session = {
+      id,
+      type,
+      transport,
+      server,
+      clientId,
+      createdAt: now,
+      lastActivityAt: now,
+      requestCount: 0,
+    };
+    sessions.set(id, session);
+    sessionsOpened.inc({ transport: type });
+    logger.info("Session created", { sessionId: id, type, client: clientId });
+    return session;
+  }
+
+  /**
+   * Look up a session by ID
+   */
+  function get(id) {
+    return sessions.get(id);
+  }
+
+  /**
+   * Record a request against a session, resetting its idle timer
+   */
+  function touch(id) {
+    const session = sessions.get(id);
+    if (session) {
+      session.lastActivityAt = Date.now();
+      session.requestCount++;
+    }
+    return session;
+  }
+
+  /**
+   * Forget a session whose transport has already closed
+   */
+  function remove(id, reason = "closed") {
+    const session = sessions.get(id);
+    if (session) {
+      sessions.delete(id);
+      sessionsClosed.inc({ transport: session.type, reason });
+      logger.info("Session closed", { sessionId: id, type: session.type, reason });
+    }
+  }
+
+  /**
+   * Close a session's server (and with it the transport) and forget it
+   */
+  function close(id, reason) {
+    const session = sessions.get(id);
+    if (!session) {
+      return;
+    }
+    remove(id, reason);
+    session.server.close().catch((error) => {
+      logger.error("Error closing session", { sessionId: id, error: error.message });
+    });
+  }
+
+  /**
+   * Close every session and stop the idle sweep
+   */
+  function closeAll() {
+    clearInterval(sweepTimer);
+    for (const id of [...sessions.keys()]) {
+      close(id, "shutdown");
+    }
+  }
+
+  /**
+   * Number of active sessions by transport type
+   */
+  function countByType() {
+    const counts = {};
+    for (const session of sessions.values()) {
+      counts[session.type] = (counts[session.type] ?? 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Per-session details for the admin endpoint
+   */
+  function describe() {
+    const now = Date.now();
+    return [...sessions.values()].map((session) => ({
+      id: session.id,
+      type: session.type,
+      clientId: session.clientId ?? null,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastActivityAt: new Date(session.lastActivityAt).toISOString(),
+      idleMs: now - session.lastActivityAt,
+      requestCount: session.requestCount,
+    }));
+  }
+
+  return {
+    get size() {
+      return sessions.size;
+    },
+    maxSessions,
+    idleTimeoutMs,
+    hasCapacity,
+    add,
+    get,
+    touch,
+    remove,
+    close,
+    closeAll,
+    countByType,
+    describe,
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Structured logger
+ *
+ * Leveled logging shared by the stdio and HTTP servers, using the MCP log
+ * levels. Records are written as text or JSON lines and can also be fanned
+ * out to sinks, such as an MCP client that enabled logging with
+ * `logging/setLevel`.
+ *
+ * Configuration:
+ * - LOG_LEVEL: minimum level written to the output stream (default "info")
+ * - LOG_FORMAT: "text" (default) or "json" for JSON lines
+ * - LOG_REDACT: "false" to log session IDs and input text verbatim
+ */
+
+import { LoggingLevelSchema, SetLevelRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+
+// MCP log levels, least to most severe
+export const LOG_LEVELS = LoggingLevelSchema.options;
+
+const SEVERITY = new Map(LOG_LEVELS.map((level, index) => [level, index]));
+
+// Fields holding client-supplied text, logged only as a length
+const INPUT_FIELDS = new Set(["text", "input", "arguments", "original", "modified", "query"]);
+
+function severity(level) {
+  return SEVERITY.get(level) ?? SEVERITY.get("info");
+}
+
+// Keep enough of a session ID to correlate log lines, not to hijack the session
+function redactSessionId(sessionId) {
+  return typeof sessionId === "string" && sessionId.length > 8
+    ? `${sessionId.slice(0, 8)}…`
+    : sessionId;
+}
+
+function redactFields(fields) {
+  const redacted = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (key === "sessionId") {
+      redacted[key] = redactSessionId(value);
+    } else if (INPUT_FIELDS.has(key)) {
+      const length = typeof value === "string" ? value.length : JSON.stringify(value ?? null).length;
+      redacted[key] = `[redacted ${length} chars]`;
+    } else {
+      redacted[key] = value;
+    }
+  }
+  return redacted;
+}
+
+function formatText(record) {
+  const { timestamp, level, logger, message, ...fields } = record;
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+    .join(" ");
+  return `[${timestamp}] [${level.toUpperCase()}] ${message}${details ? ` ${details}` : ""}`;
+}
+
+/**
+ * Create a logger.
+ *
+ * @param {object} options
+ * @param {string} options.name - Logger name reported in records
+ * @param {NodeJS.WritableStream} options.stream - Output stream
+ * @param {object} [options.env] - Environment to read LOG_* settings from
+ */
+export function createLogger({ name, stream, env = process.env }) {
+  const config = {
+    name,
+    stream,
+    level: LOG_LEVELS.includes(env.LOG_LEVEL) ? env.LOG_LEVEL : "info",
+    json: env.LOG_FORMAT === "json",
+    redact: env.LOG_REDACT !== "false",
+  };
+  return buildLogger(config, {}, []);
+}
+
+function buildLogger(config, context, sinks) {
+  function write(level, message, fields = {}) {
+    const merged = Object.fromEntries(
+      Object.entries({ ...context, ...fields }).filter(([, value]) => value !== undefined)
+    );
+    const record = {
+      timestamp: new Date().toISOString(),
+      level,
+      logger: config.name,
+      message,
+      ...(config.redact ? redactFields(merged) : merged),
+    };
+
+    if (severity(level) >= severity(config.level)) {
+      config.stream.write(`${config.json ? JSON.stringify(record) : formatText(record)}\n`);
+    }
+
+    // Sinks apply their own level filtering
+    for (const sink of sinks) {
+      sink(record);
+    }
+  }
+
+  const logger = {
+    /**
+     * Derive a logger that adds `fields` to every record and, optionally,
+     * sends records to an extra sink
+     */
+    child(fields, { sink } = {}) {
+      return buildLogger(config, { ...context, ...fields }, sink ? [...sinks, sink] : sinks);
+    },
+  };
+
+  for (const level of LOG_LEVELS) {
+    logger[level] = (message, fields) => write(level, message, fields);
+  }
+
+  return logger;
+}
+
+/**
+ * Logger that discards everything
+ */
+export const silentLogger = {
+  child: () => silentLogger,
+  ...Object.fromEntries(LOG_LEVELS.map((level) => [level, () => {}])),
+};
+
+/**
+ * Handle `logging/setLevel` on an MCP Server and return a factory for sinks
+ * that forward records at or above the client's level as
+ * `notifications/message`. Nothing is forwarded until the client sets a
+ * level. Pass a request's `extra.sendNotification` to keep notifications on
+ * that request's stream; the default sends on the session's own stream.
+ */
+export function enableClientLogging(server) {
+  let clientLevel = null;
+
+  server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    clientLevel = request.params.level;
+    return {};
+  });
+
+  return function clientSink(send = (notification) => server.notification(notification)) {
+    return (record) => {
+      if (clientLevel === null || severity(record.level) < severity(clientLevel)) {
+        return;
+      }
+
+      const { timestamp, level, logger, ...data } = record;
+      send({
+        method: "notifications/message",
+        params: { level, logger, data },
+      }).catch(() => {
+        // The client may already be gone; logging must never fail a request
+      });
+    };
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * MCP server factory
+ *
+ * Builds a Server with the shared tool registry and the MCP logging
+ * capability. The stdio server creates one instance; the HTTP server creates
+ * one per session.
+ */
+
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { registerTools } from "./tools/index.js";
+import { enableClientLogging } from "./logger.js";
+
+// Server configuration
+export const SERVER_NAME = "text-utilities-mcp";
+export const SERVER_VERSION = "1.0.0";
+
+/**
+ * Create an MCP server instance.
+ *
+ * Returns the server and a logger whose records also reach the connected
+ * client once it enables logging. Tool calls log through a per-request
+ * logger so their notifications travel with the request.
+ *
+ * @param {object} options
+ * @param {object} options.logger - Base logger
+ * @param {Function} [options.beforeCall] - Hook run before each tool call
+ */
+export function createMcpServer({ logger, beforeCall }) {
+  const server = new Server(
+    {
+      name: SERVER_NAME,
+      version: SERVER_VERSION,
+    },
+    {
+      capabilities: {
+        tools: {},
+        logging: {},
+      },
+    }
+  );
+
+  const clientSink = enableClientLogging(server);
+
+  registerTools(server, {
+    logger,
+    beforeCall,
+    requestLogger: (extra) =>
+      logger.child({ sessionId: extra.sessionId }, { sink: clientSink(extra.sendNotification) }),
+  });
+
+  return {
+    server,
+    logger: logger.child({}, { sink: clientSink() }),
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * Metrics
+ *
+ * Minimal Prometheus-style counters, gauges and histograms shared by the
+ * stdio and HTTP servers. `renderMetrics()` returns the text exposition
+ * format served at /metrics (HTTP) or dumped on SIGUSR2 (stdio).
+ */
+
+const metrics = [];
+
+// Serialize a label set as {a="1",b="2"}
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  const formatted = entries.map(
+    ([key, value]) =>
+      `${key}="${String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`
+  );
+  return `{${formatted.join(",")}}`;
+}
+
+// Stable map key for a label set
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => labels[name] ?? ""));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+}
+
+/**
+ * Monotonically increasing counter
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+  const values = new Map();
+
+  const counter = {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      const entry = values.get(key) ?? { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += amount;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of values.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    },
+  };
+
+  metrics.push(counter);
+  return counter;
+}
+
+/**
+ * Gauge whose values are read from `collect()` at render time
+ */
+export function createGauge({ name, help, collect }) {
+  const gauge = {
+    collect,
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels = {}, value } of gauge.collect()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    },
+  };
+
+  metrics.push(gauge);
+  return gauge;
+}
+
+/**
+ * Histogram with fixed upper bounds
+ */
+export function createHistogram({ name, help, labelNames = [], buckets }) {
+  const values = new Map();
+
+  const histogram = {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let entry = values.get(key);
+      if (!entry) {
+        entry = {
+          labels: pickLabels(labelNames, labels),
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        };
+        values.set(key, entry);
+      }
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of values.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+
+  metrics.push(histogram);
+  return histogram;
+}
+
+/**
+ * Render every registered metric in Prometheus text format
+ */
+export function renderMetrics() {
+  return metrics.flatMap((metric) => metric.render()).join("\n") + "\n";
+}
+
+/**
+ * Tool calls by tool name and outcome
+ * (success, error, timeout, cancelled, forbidden, rejected)
+ */
+export const toolCalls = createCounter({
+  name: "mcp_tool_calls_total",
+  help: "Tool calls by tool and outcome",
+  labelNames: ["tool", "outcome"],
+});
+
+export const toolDuration = createHistogram({
+  name: "mcp_tool_duration_seconds",
+  help: "Tool execution latency in seconds",
+  labelNames: ["tool"],
+  buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30],
+});
+
+export const toolInputSize = createHistogram({
+  name: "mcp_tool_input_characters",
+  help: "Characters of string input per tool call",
+  labelNames: ["tool"],
+  buckets: [10, 100, 1000, 10000, 100000, 1000000],
+});
+
+export const toolTimeouts = createCounter({
+  name: "mcp_tool_timeouts_total",
+  help: "Tool calls that exceeded the execution timeout",
+  labelNames: ["tool"],
+});
+
+// Unlabelled: unknown names come from clients and would be unbounded
+export const unknownToolCalls = createCounter({
+  name: "mcp_unknown_tool_calls_total",
+  help: "Calls to tools that are not registered",
+});
+
+export const sessionsOpened = createCounter({
+  name: "mcp_sessions_opened_total",
+  help: "Sessions opened by transport",
+  labelNames: ["transport"],
+});
+
+export const sessionsClosed = createCounter({
+  name: "mcp_sessions_closed_total",
+  help: "Sessions closed by transport and reason",
+  labelNames: ["transport", "reason"],
+});
@@ -0,0 +1,166 @@
+/**
+ * Case styles
+ *
+ * Prose styles (title, sentence) keep the text's spacing and punctuation.
+ * Identifier styles (camel, Pascal, snake, kebab, constant) split each line
+ * into words, including at camelCase humps, acronyms and digits, so
+ * `parseHTTPResponse2` becomes `parse_http_response_2`.
+ */
+
+import { toLower, toUpper } from "./locale.js";
+
+export const CASE_STYLES = [
+  "title",
+  "sentence",
+  "camel",
+  "pascal",
+  "snake",
+  "kebab",
+  "constant",
+  "toggle",
+  "alternating",
+];
+
+// Words left lowercase in title case unless first or last
+const TITLE_SMALL_WORDS = new Set([
+  "a", "an", "and", "as", "at", "but", "by", "en", "for", "if", "in", "nor",
+  "of", "on", "or", "per", "the", "to", "v", "vs", "via", "yet",
+]);
+
+// Acronym before a capitalized word, capitalized or lowercase word, acronym,
+// number, or a run of caseless letters
+const IDENTIFIER_WORD =
+  /\p{Lu}+(?=\p{Lu}\p{Ll})|\p{Lu}?[\p{Ll}\p{M}]+|\p{Lu}[\p{Lu}\p{M}]*|\p{N}+|[\p{L}\p{M}]+/gu;
+
+/**
+ * Split an identifier or phrase into words
+ */
+export function identifierWords(text) {
+  return text.match(IDENTIFIER_WORD) ?? [];
+}
+
+// Uppercase the first letter, leaving any leading punctuation alone
+function capitalize(word, locale) {
+  return word.replace(/\p{L}/u, (letter) => toUpper(letter, locale));
+}
+
+// Words with capitals after the first letter (NASA, iPhone) keep their casing
+function hasInnerCapitals(word) {
+  return /\p{L}.*\p{Lu}/u.test(word);
+}
+
+function titleCase(text, locale) {
+  const tokens = text.split(/(\s+)/);
+  const words = tokens.filter((token, i) => i % 2 === 0 && token !== "");
+  const lastWord = words[words.length - 1];
+  let startsPhrase = true;
+
+  return tokens
+    .map((token, i) => {
+      if (i % 2 === 1 || token === "") {
+        return token;
+      }
+      const isFirst = startsPhrase;
+      const isLast = token === lastWord && i === tokens.lastIndexOf(lastWord);
+      startsPhrase = /[:.!?]["')\]]*$/.test(token);
+
+      // Hyphenated compounds are capitalized part by part
+      return token
+        .split("-")
+        .map((part, partIndex) => {
+          const bare = toLower(part.replace(/[^\p{L}\p{N}'’]/gu, ""), locale);
+          const isEdge = (isFirst && partIndex === 0) || isLast;
+          if (!isEdge && partIndex === 0 && TITLE_SMALL_WORDS.has(bare)) {
+            return toLower(part, locale);
+          }
+          if (partIndex > 0 && TITLE_SMALL_WORDS.has(bare) && !isLast) {
+            return toLower(part, locale);
+          }
+          return hasInnerCapitals(part) ? part : capitalize(toLower(part, locale), locale);
+        })
+        .join("-");
+    })
+    .join("");
+}
+
+function sentenceCase(text, locale) {
+  let startsSentence = true;
+  return text
+    .split(/(\s+)/)
+    .map((token, i) => {
+      if (i % 2 === 1 || token === "") {
+        if (/\n\s*\n/.test(token)) {
+          startsSentence = true;
+        }
+        return token;
+      }
+      const isStart = startsSentence;
+      startsSentence = /[.!?]["')\]]*$/.test(token);
+      // Keep acronyms, mixed-case words and the pronoun I (I'm, I've, ...)
+      if (hasInnerCapitals(token) || /^\P{L}*I(['’]\p{L}+)?\P{L}*$/u.test(token)) {
+        return token;
+      }
+      const lowered = toLower(token, locale);
+      return isStart ? capitalize(lowered, locale) : lowered;
+    })
+    .join("");
+}
+
+function toggleCase(text, locale) {
+  return text.replace(/\p{L}/gu, (letter) => {
+    const upper = toUpper(letter, locale);
+    return letter === upper ? toLower(letter, locale) : upper;
+  });
+}
+
+function alternatingCase(text, locale) {
+  let upper = false;
+  return text.replace(/\p{L}/gu, (letter) => {
+    const converted = upper ? toUpper(letter, locale) : toLower(letter, locale);
+    upper = !upper;
+    return converted;
+  });
+}
+
+// Join the words of each line in an identifier style
+function identifierCase(text, locale, joinWords) {
+  return text
+    .split(/(\r?\n)/)
+    .map((line, i) => (i % 2 === 1 ? line : joinWords(identifierWords(line).map((word) => toLower(word, locale)))))
+    .join("");
+}
+
+/**
+ * Convert text to one of CASE_STYLES
+ */
+export function convertCase(text, style, locale) {
+  switch (style) {
+    case "title": {
+      // All-caps input would otherwise be kept as a run of acronyms
+      const source = /\p{Ll}/u.test(text) ? text : toLower(text, locale);
+      return titleCase(source, locale);
+    }
+    case "sentence": {
+      const source = /\p{Ll}/u.test(text) ? text : toLower(text, locale);
+      return sentenceCase(source, locale);
+    }
+    case "camel":
+      return identifierCase(text, locale, (words) =>
+        words.map((word, i) => (i === 0 ? word : capitalize(word, locale))).join("")
+      );
+    case "pascal":
+      return identifierCase(text, locale, (words) => words.map((word) => capitalize(word, locale)).join(""));
+    case "snake":
+      return identifierCase(text, locale, (words) => words.join("_"));
+    case "kebab":
+      return identifierCase(text, locale, (words) => words.join("-"));
+    case "constant":
+      return identifierCase(text, locale, (words) => toUpper(words.join("_"), locale));
+    case "toggle":
+      return toggleCase(text, locale);
+    case "alternating":
+      return alternatingCase(text, locale);
+    default:
+      throw new Error(`Invalid style: ${style}. Expected one of: ${CASE_STYLES.join(", ")}`);
+  }
+}
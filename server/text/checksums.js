@@ -0,0 +1,51 @@
+/**
+ * Checksums
+ *
+ * Non-cryptographic checksums that node:crypto does not provide. Both take
+ * the previous value so large inputs can be checksummed chunk by chunk, and
+ * return an unsigned 32-bit integer.
+ */
+
+// CRC-32 lookup table for the reflected IEEE 802.3 polynomial
+const CRC32_TABLE = Array.from({ length: 256 }, (_, byte) => {
+  let crc = byte;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * CRC-32 (IEEE, as used by zip, gzip and PNG)
+ */
+export function crc32(bytes, previous = 0) {
+  let crc = ~previous;
+  for (const byte of bytes) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+// Largest prime below 2^16
+const ADLER_MODULUS = 65521;
+
+// Bytes summed before reducing, small enough that the sums stay exact
+const ADLER_BLOCK = 5552;
+
+/**
+ * Adler-32 (as used by zlib)
+ */
+export function adler32(bytes, previous = 1) {
+  let a = previous & 0xffff;
+  let b = previous >>> 16;
+  for (let start = 0; start < bytes.length; start += ADLER_BLOCK) {
+    const end = Math.min(start + ADLER_BLOCK, bytes.length);
+    for (let i = start; i < end; i++) {
+      a += bytes[i];
+      b += a;
+    }
+    a %= ADLER_MODULUS;
+    b %= ADLER_MODULUS;
+  }
+  return ((b << 16) | a) >>> 0;
+}
@@ -0,0 +1,61 @@
+/**
+ * Chunked text processing
+ *
+ * Large inputs are processed in chunks so tools can report progress as they
+ * go. Chunk boundaries fall on whitespace where possible (so words are never
+ * split) and always between grapheme clusters.
+ */
+
+import { graphemeBoundaryBefore } from "./segments.js";
+
+// Characters per chunk when processing input
+export const CHUNK_SIZE = 65536;
+
+// How far back from the limit to look for whitespace to split on
+const BOUNDARY_SEARCH = 1024;
+
+// Find a split point at or before `end` that keeps words and graphemes whole
+function chunkEnd(text, start, end) {
+  if (end >= text.length) {
+    return text.length;
+  }
+
+  let split = end;
+  for (let i = end; i > Math.max(start, end - BOUNDARY_SEARCH); i--) {
+    if (/\s/.test(text[i - 1])) {
+      split = i;
+      break;
+    }
+  }
+
+  // A combining mark may follow whitespace, so snap to a grapheme boundary
+  const boundary = graphemeBoundaryBefore(text, split);
+  return boundary > start ? boundary : split;
+}
+
+/**
+ * Split text into chunks of at most `size` characters
+ */
+export function* chunkText(text, size = CHUNK_SIZE) {
+  let start = 0;
+  while (start < text.length) {
+    const end = chunkEnd(text, start, start + size);
+    yield text.slice(start, end);
+    start = end;
+  }
+}
+
+/**
+ * Apply `transform` to each chunk, reporting progress in characters after
+ * each one. Returns the transformed chunks in input order.
+ */
+export function mapChunks(text, transform, progress) {
+  const results = [];
+  let processed = 0;
+  for (const chunk of chunkText(text)) {
+    results.push(transform(chunk));
+    processed += chunk.length;
+    progress?.(processed, text.length);
+  }
+  return results;
+}
@@ -0,0 +1,363 @@
+/**
+ * Diffing
+ *
+ * Myers' O(ND) difference algorithm in its linear-space form (find the
+ * middle snake, then recurse on both halves), run over token ids. Common
+ * prefixes and suffixes are stripped first, and word and character diffs
+ * are computed line by line first and then refined inside each changed
+ * block of lines, which keeps large, mostly similar inputs fast (they are
+ * minimal within that line alignment). Past the deadline a subproblem is
+ * reported as a plain replacement, so the diff stays correct but may not be
+ * minimal.
+ */
+
+import { splitUnits } from "./units.js";
+
+export const DIFF_GRANULARITIES = ["line", "word", "character"];
+
+// Time budget for finding a minimal diff
+const DIFF_TIMEOUT_MS = 5000;
+
+/**
+ * Split text into diff tokens for a granularity
+ */
+export function tokenize(text, granularity) {
+  switch (granularity) {
+    case "line":
+      return text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+    case "word":
+      return text.match(/\s+|[\p{L}\p{N}\p{M}_]+|[^\s\p{L}\p{N}\p{M}_]/gsu) ?? [];
+    case "character":
+      return splitUnits(text, "grapheme");
+    default:
+      throw new Error(`Invalid granularity: ${granularity}. Expected one of: ${DIFF_GRANULARITIES.join(", ")}`);
+  }
+}
+
+// Replace tokens with integer ids so comparisons are cheap
+function toIds(aTokens, bTokens) {
+  const ids = new Map();
+  const encode = (tokens) =>
+    Int32Array.from(tokens, (token) => {
+      let id = ids.get(token);
+      if (id === undefined) {
+        id = ids.size;
+        ids.set(token, id);
+      }
+      return id;
+    });
+  return [encode(aTokens), encode(bTokens)];
+}
+
+// Find the middle snake of a[aLo, aHi) and b[bLo, bHi): a point on an
+// optimal edit path, or null past the deadline
+function middleSnake(a, aLo, aHi, b, bLo, bHi, deadline) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD + 1;
+  const size = 2 * maxD + 3;
+  const forward = new Int32Array(size).fill(-1);
+  const backward = new Int32Array(size).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+  const delta = n - m;
+  const checkForward = delta % 2 !== 0;
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  for (let d = 0; d <= maxD; d++) {
+    if (Date.now() > deadline) {
+      return null;
+    }
+
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      let x =
+        k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (checkForward) {
+        const reverseK = offset + delta - k;
+        if (reverseK >= 0 && reverseK < size && backward[reverseK] !== -1 && x >= n - backward[reverseK]) {
+          return [x, y];
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      let x =
+        k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+          ? backward[offset + k + 1]
+          : backward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aHi - x - 1] === b[bHi - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!checkForward) {
+        const forwardK = offset + delta - k;
+        if (forwardK >= 0 && forwardK < size && forward[forwardK] !== -1) {
+          const forwardX = forward[forwardK];
+          if (forwardX >= n - x) {
+            return [forwardX, forwardX - (delta - k)];
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Diff two token id arrays into runs of
+ * `{ type: "equal" | "delete" | "insert", aStart, bStart, length }`.
+ * Sets `state.minimal` to false when the deadline cut the search short.
+ */
+function diffIds(a, b, deadline, state) {
+  const runs = [];
+  const push = (type, aStart, bStart, length) => {
+    if (length === 0) {
+      return;
+    }
+    const last = runs[runs.length - 1];
+    if (last?.type === type) {
+      last.length += length;
+    } else {
+      runs.push({ type, aStart, bStart, length });
+    }
+  };
+
+  // Explicit stack instead of recursion; "equal" entries are emitted in order
+  const stack = [[0, a.length, 0, b.length]];
+  while (stack.length > 0) {
+    const entry = stack.pop();
+    if (entry.length === 4 && typeof entry[0] === "string") {
+      push(...entry);
+      continue;
+    }
+    let [aLo, aHi, bLo, bHi] = entry;
+
+    let prefix = 0;
+    while (aLo + prefix < aHi && bLo + prefix < bHi && a[aLo + prefix] === b[bLo + prefix]) {
+      prefix++;
+    }
+    push("equal", aLo, bLo, prefix);
+    aLo += prefix;
+    bLo += prefix;
+
+    let suffix = 0;
+    while (aLo < aHi - suffix && bLo < bHi - suffix && a[aHi - suffix - 1] === b[bHi - suffix - 1]) {
+      suffix++;
+    }
+    aHi -= suffix;
+    bHi -= suffix;
+    const suffixEntry = ["equal", aHi, bHi, suffix];
+
+    if (aLo === aHi || bLo === bHi) {
+      push("delete", aLo, bLo, aHi - aLo);
+      push("insert", aHi, bLo, bHi - bLo);
+      push(...suffixEntry);
+      continue;
+    }
+
+    const snake = middleSnake(a, aLo, aHi, b, bLo, bHi, deadline);
+    if (!snake) {
+      state.minimal = false;
+      push("delete", aLo, bLo, aHi - aLo);
+      push("insert", aHi, bLo, bHi - bLo);
+      push(...suffixEntry);
+      continue;
+    }
+
+    // Process the first half, then the second, then the suffix
+    const [x, y] = snake;
+    stack.push(suffixEntry, [aLo + x, aHi, bLo + y, bHi], [aLo, aLo + x, bLo, bLo + y]);
+  }
+  return runs;
+}
+
+/**
+ * Diff two token arrays into changes `{ type, tokens }`
+ */
+function diffTokens(aTokens, bTokens, deadline, state) {
+  const [a, b] = toIds(aTokens, bTokens);
+  return diffIds(a, b, deadline, state).map(({ type, aStart, bStart, length }) => ({
+    type,
+    tokens: type === "insert" ? bTokens.slice(bStart, bStart + length) : aTokens.slice(aStart, aStart + length),
+  }));
+}
+
+/**
+ * Diff two texts at a granularity into changes `{ type, tokens }`, where
+ * type is equal, delete or insert. Returns `{ changes, minimal }`.
+ */
+export function diffTexts(original, modified, granularity, { progress } = {}) {
+  const deadline = Date.now() + DIFF_TIMEOUT_MS;
+  const state = { minimal: true };
+  const lineChanges = diffTokens(tokenize(original, "line"), tokenize(modified, "line"), deadline, state);
+  if (granularity === "line") {
+    progress?.(original.length + modified.length, original.length + modified.length);
+    return { changes: mergeChanges(lineChanges), minimal: state.minimal };
+  }
+
+  // Refine each replaced block of lines at the finer granularity. Merging
+  // first joins every run of changed lines into one deletion followed by one
+  // insertion, whatever order the line diff found them in
+  const blocks = mergeChanges(lineChanges);
+  const changes = [];
+  const total = original.length + modified.length;
+  let processed = 0;
+  for (let i = 0; i < blocks.length; i++) {
+    const { type, tokens } = blocks[i];
+    const text = tokens.join("");
+    if (type === "equal") {
+      changes.push({ type, tokens: tokenize(text, granularity) });
+      processed += 2 * text.length;
+    } else {
+      // A deletion directly followed by an insertion is a replaced block
+      let deleted = "";
+      let inserted = text;
+      if (type === "delete") {
+        deleted = text;
+        inserted = blocks[i + 1]?.type === "insert" ? blocks[++i].tokens.join("") : "";
+      }
+      for (const change of diffTokens(tokenize(deleted, granularity), tokenize(inserted, granularity), deadline, state)) {
+        changes.push(change);
+      }
+      processed += deleted.length + inserted.length;
+    }
+    progress?.(processed, total);
+  }
+  return { changes: mergeChanges(changes), minimal: state.minimal };
+}
+
+// Append without spreading, which overflows the stack for large arrays
+function append(target, items) {
+  for (const item of items) {
+    target.push(item);
+  }
+}
+
+// Join consecutive changes of the same type, listing the deletions of each
+// changed region before its insertions
+function mergeChanges(changes) {
+  const merged = [];
+  let deleted = [];
+  let inserted = [];
+  const flush = () => {
+    if (deleted.length > 0) merged.push({ type: "delete", tokens: deleted });
+    if (inserted.length > 0) merged.push({ type: "insert", tokens: inserted });
+    deleted = [];
+    inserted = [];
+  };
+
+  for (const { type, tokens } of changes) {
+    if (type === "delete") {
+      append(deleted, tokens);
+    } else if (type === "insert") {
+      append(inserted, tokens);
+    } else if (tokens.length > 0) {
+      flush();
+      const last = merged[merged.length - 1];
+      if (last?.type === "equal") {
+        append(last.tokens, tokens);
+      } else {
+        merged.push({ type, tokens: [...tokens] });
+      }
+    }
+  }
+  flush();
+  return merged;
+}
+
+/**
+ * Render line changes as a unified diff with `context` lines around each hunk
+ */
+export function unifiedDiff(changes, { context = 3, originalLabel = "original", modifiedLabel = "modified" } = {}) {
+  // Flatten to one entry per line with its line numbers
+  const lines = [];
+  let aLine = 0;
+  let bLine = 0;
+  for (const { type, tokens } of changes) {
+    for (const line of tokens) {
+      lines.push({ type, line, aLine, bLine });
+      if (type !== "insert") aLine++;
+      if (type !== "delete") bLine++;
+    }
+  }
+
+  // Group changed lines into hunks, merging hunks whose context would overlap
+  const hunks = [];
+  let first = -1;
+  let last = -1;
+  const closeHunk = () => hunks.push([Math.max(0, first - context), Math.min(lines.length - 1, last + context)]);
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].type === "equal") {
+      continue;
+    }
+    if (first === -1) {
+      first = i;
+    } else if (i - last - 1 > 2 * context) {
+      closeHunk();
+      first = i;
+    }
+    last = i;
+  }
+  if (first !== -1) {
+    closeHunk();
+  }
+
+  if (hunks.length === 0) {
+    return "";
+  }
+
+  const output = [`--- ${originalLabel}\n`, `+++ ${modifiedLabel}\n`];
+  for (const [start, end] of hunks) {
+    const hunk = lines.slice(start, end + 1);
+    const aCount = hunk.filter(({ type }) => type !== "insert").length;
+    const bCount = hunk.filter(({ type }) => type !== "delete").length;
+    // Empty ranges name the line before them (0 at the start of the file)
+    const aStart = aCount === 0 ? hunk[0].aLine : hunk[0].aLine + 1;
+    const bStart = bCount === 0 ? hunk[0].bLine : hunk[0].bLine + 1;
+    output.push(`@@ -${range(aStart, aCount)} +${range(bStart, bCount)} @@\n`);
+    for (const { type, line } of hunk) {
+      const prefix = type === "equal" ? " " : type === "delete" ? "-" : "+";
+      output.push(prefix + (line.endsWith("\n") ? line : `${line}\n\\ No newline at end of file\n`));
+    }
+  }
+  return output.join("");
+}
+
+function range(start, count) {
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Render word or character changes inline, git --word-diff style:
+ * [-deleted-]{+inserted+}
+ */
+export function inlineDiff(changes) {
+  return changes
+    .map(({ type, tokens }) => {
+      const text = tokens.join("");
+      return type === "equal" ? text : type === "delete" ? `[-${text}-]` : `{+${text}+}`;
+    })
+    .join("");
+}
@@ -0,0 +1,470 @@
+/**
+ * Text encodings
+ *
+ * Reversible encodings used by encode_text and decode_text. Byte-oriented
+ * encodings (Base64, hex, URL percent-encoding, quoted-printable) first turn
+ * text into bytes with a charset; the others work on the text directly.
+ * Decoders are strict: malformed input throws an error naming the problem
+ * and where it is, rather than producing partial or replacement output.
+ */
+
+import { HTML_ENTITIES } from "./entities.js";
+
+export const ENCODINGS = ["base64", "base64url", "hex", "url", "html", "quoted_printable", "punycode", "rot13"];
+
+/**
+ * Encodings whose output represents bytes, so a charset applies
+ */
+export const BYTE_ENCODINGS = ["base64", "base64url", "hex", "url", "quoted_printable"];
+
+export const CHARSETS = ["utf-8", "utf-16le", "utf-16be", "latin1", "ascii"];
+
+export const DEFAULT_CHARSET = "utf-8";
+
+/**
+ * JSON schema for a tool's `charset` argument
+ */
+export const charsetSchema = {
+  type: "string",
+  enum: CHARSETS,
+  default: DEFAULT_CHARSET,
+  description: `Character set of the bytes behind byte-oriented encodings (${BYTE_ENCODINGS.join(", ")}); ignored by the others`,
+};
+
+const CHARSET_ALIASES = {
+  utf8: "utf-8",
+  utf16le: "utf-16le",
+  utf16be: "utf-16be",
+  "iso-8859-1": "latin1",
+  "us-ascii": "ascii",
+};
+
+/**
+ * Matches a UTF-16 surrogate without its other half, which has no UTF-8 encoding
+ */
+export const UNPAIRED_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+/**
+ * Validate a `charset` argument and return its canonical name
+ */
+export function resolveCharset(charset) {
+  if (charset === undefined || charset === null) {
+    return DEFAULT_CHARSET;
+  }
+  const name = String(charset).toLowerCase();
+  const resolved = CHARSET_ALIASES[name] ?? name;
+  if (!CHARSETS.includes(resolved)) {
+    throw new Error(`Invalid charset: ${charset}. Expected one of: ${CHARSETS.join(", ")}`);
+  }
+  return resolved;
+}
+
+// The character starting at a position, quoted with its code point
+function describeCharacter(text, position) {
+  const character = String.fromCodePoint(text.codePointAt(position));
+  const hex = character.codePointAt(0).toString(16).toUpperCase().padStart(4, "0");
+  return `"${character}" (U+${hex})`;
+}
+
+/**
+ * Encode text as bytes in a charset
+ */
+export function textToBytes(text, charset = DEFAULT_CHARSET) {
+  switch (charset) {
+    case "utf-8": {
+      const lone = text.search(UNPAIRED_SURROGATE);
+      if (lone !== -1) {
+        throw new Error(`Cannot encode unpaired surrogate ${describeCharacter(text, lone)} at position ${lone} in utf-8`);
+      }
+      return Buffer.from(text, "utf8");
+    }
+    case "utf-16le":
+      return Buffer.from(text, "utf16le");
+    case "utf-16be":
+      return Buffer.from(text, "utf16le").swap16();
+    case "latin1":
+    case "ascii": {
+      const unencodable = text.search(charset === "ascii" ? /[^\x00-\x7F]/ : /[^\x00-\xFF]/);
+      if (unencodable !== -1) {
+        throw new Error(
+          `Cannot encode ${describeCharacter(text, unencodable)} at position ${unencodable} in ${charset}; use utf-8 instead`
+        );
+      }
+      return Buffer.from(text, "latin1");
+    }
+  }
+}
+
+/**
+ * Decode bytes in a charset, rejecting byte sequences the charset cannot produce
+ */
+export function bytesToText(bytes, charset = DEFAULT_CHARSET) {
+  switch (charset) {
+    case "utf-8":
+    case "utf-16le":
+    case "utf-16be":
+      if (charset !== "utf-8" && bytes.length % 2 !== 0) {
+        throw new Error(`Decoded bytes are not valid ${charset}: odd number of bytes (${bytes.length})`);
+      }
+      try {
+        return new TextDecoder(charset, { fatal: true, ignoreBOM: true }).decode(bytes);
+      } catch {
+        throw new Error(`Decoded bytes are not valid ${charset}; try another charset`);
+      }
+    case "latin1":
+      return Buffer.from(bytes).toString("latin1");
+    case "ascii": {
+      const invalid = bytes.findIndex((byte) => byte > 0x7f);
+      if (invalid !== -1) {
+        throw new Error(`Decoded bytes are not valid ascii: byte 0x${bytes[invalid].toString(16)} at offset ${invalid}`);
+      }
+      return Buffer.from(bytes).toString("latin1");
+    }
+  }
+}
+
+// Base64 and hex
+
+function decodeBase64(text, urlSafe) {
+  const name = urlSafe ? "base64url" : "base64";
+  const invalid = text.search(urlSafe ? /[^A-Za-z0-9\-_=\s]/ : /[^A-Za-z0-9+/=\s]/);
+  if (invalid !== -1) {
+    const hint = !urlSafe && /[-_]/.test(text[invalid]) ? "; this looks like base64url" : "";
+    throw new Error(`Invalid ${name} input: unexpected ${describeCharacter(text, invalid)} at position ${invalid}${hint}`);
+  }
+  const compact = text.replace(/\s+/g, "");
+  const [, data, padding] = /^([^=]*)(=*)$/.exec(compact) ?? [];
+  if (data === undefined) {
+    throw new Error(`Invalid ${name} input: "=" padding may only appear at the end`);
+  }
+  if (data.length % 4 === 1) {
+    throw new Error(`Invalid ${name} input: truncated (${data.length} characters cannot encode whole bytes)`);
+  }
+  if (padding && (data.length + padding.length) % 4 !== 0) {
+    throw new Error(`Invalid ${name} input: incorrect "=" padding`);
+  }
+  return Buffer.from(data, urlSafe ? "base64url" : "base64");
+}
+
+function decodeHex(text) {
+  const invalid = text.search(/[^0-9A-Fa-f\s]/);
+  if (invalid !== -1) {
+    throw new Error(`Invalid hex input: unexpected ${describeCharacter(text, invalid)} at position ${invalid}`);
+  }
+  const compact = text.replace(/\s+/g, "");
+  if (compact.length % 2 !== 0) {
+    throw new Error(`Invalid hex input: odd number of digits (${compact.length})`);
+  }
+  return Buffer.from(compact, "hex");
+}
+
+// URL percent-encoding (RFC 3986: everything but unreserved characters)
+
+function encodeUrl(bytes) {
+  let output = "";
+  for (const byte of bytes) {
+    output += /[A-Za-z0-9\-._~]/.test(String.fromCharCode(byte))
+      ? String.fromCharCode(byte)
+      : `%${byte.toString(16).toUpperCase().padStart(2, "0")}`;
+  }
+  return output;
+}
+
+function decodeUrl(text, charset) {
+  const parts = [];
+  let literalStart = 0;
+  for (let i = text.indexOf("%"); i !== -1; i = text.indexOf("%", literalStart)) {
+    const escape = text.slice(i, i + 3);
+    if (!/^%[0-9A-Fa-f]{2}$/.test(escape)) {
+      throw new Error(`Invalid URL encoding: malformed escape "${escape}" at position ${i}`);
+    }
+    parts.push(textToBytes(text.slice(literalStart, i), charset), Buffer.from([parseInt(escape.slice(1), 16)]));
+    literalStart = i + 3;
+  }
+  parts.push(textToBytes(text.slice(literalStart), charset));
+  return Buffer.concat(parts);
+}
+
+// HTML character references
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function encodeHtml(text) {
+  return text.replace(/[&<>"']/g, (character) => HTML_ESCAPES[character]);
+}
+
+function decodeHtml(text) {
+  return text.replace(/&(?:#([0-9]+)|#[xX]([0-9A-Fa-f]+)|([A-Za-z][A-Za-z0-9]*));/g, (reference, decimal, hex, name, index) => {
+    if (name !== undefined) {
+      if (!HTML_ENTITIES.has(name)) {
+        throw new Error(`Invalid HTML input: unknown entity "${reference}" at position ${index}`);
+      }
+      return String.fromCodePoint(HTML_ENTITIES.get(name));
+    }
+    const codePoint = decimal !== undefined ? Number(decimal) : parseInt(hex, 16);
+    if (codePoint === 0 || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+      throw new Error(`Invalid HTML input: "${reference}" at position ${index} is not a valid character`);
+    }
+    return String.fromCodePoint(codePoint);
+  });
+}
+
+// Quoted-printable (RFC 2045): lines of at most 76 characters, soft line
+// breaks marked by a trailing "=", hard line breaks kept as in the input
+
+const QP_LINE_LENGTH = 76;
+
+function encodeQuotedPrintable(text, charset) {
+  const softBreak = text.includes("\r\n") ? "=\r\n" : "=\n";
+  return text.replace(/[^\r\n]+/g, (line) => {
+    const bytes = textToBytes(line, charset);
+    let output = "";
+    let lineLength = 0;
+    bytes.forEach((byte, i) => {
+      const last = i === bytes.length - 1;
+      const literal =
+        (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !last);
+      const token = literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, "0")}`;
+      // Leave room for the "=" of a soft break unless this ends the line
+      if (lineLength + token.length > (last ? QP_LINE_LENGTH : QP_LINE_LENGTH - 1)) {
+        output += softBreak;
+        lineLength = 0;
+      }
+      output += token;
+      lineLength += token.length;
+    });
+    return output;
+  });
+}
+
+function decodeQuotedPrintable(text, charset) {
+  const parts = [];
+  const lines = text.split(/(\r?\n)/);
+  for (let l = 0; l < lines.length; l += 2) {
+    // Trailing whitespace is added in transport and not part of the data
+    let line = lines[l].replace(/[ \t]+$/, "");
+    const softBreak = line.endsWith("=");
+    if (softBreak) {
+      line = line.slice(0, -1);
+    }
+    const bytes = [];
+    for (let i = 0; i < line.length; i++) {
+      const code = line.charCodeAt(i);
+      if (line[i] === "=") {
+        const escape = line.slice(i, i + 3);
+        if (!/^=[0-9A-Fa-f]{2}$/.test(escape)) {
+          throw new Error(`Invalid quoted-printable input: malformed escape "${escape}" on line ${l / 2 + 1}`);
+        }
+        bytes.push(parseInt(escape.slice(1), 16));
+        i += 2;
+      } else if ((code >= 32 && code <= 126) || code === 9) {
+        bytes.push(code);
+      } else {
+        throw new Error(
+          `Invalid quoted-printable input: unencoded ${describeCharacter(line, i)} on line ${l / 2 + 1}`
+        );
+      }
+    }
+    parts.push(Buffer.from(bytes));
+    if (!softBreak && l + 1 < lines.length) {
+      parts.push(textToBytes(lines[l + 1], charset));
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+// Punycode (RFC 3492) applied to each non-ASCII label of a domain name or
+// URL, with the "xn--" prefix of internationalized domain names. Labels
+// are not case-folded or otherwise normalized.
+
+const PUNYCODE = { base: 36, tMin: 1, tMax: 26, skew: 38, damp: 700, initialBias: 72, initialN: 128 };
+const MAX_INT = 0x7fffffff;
+const LABEL = /[^\s./:@?#]+/g;
+
+function adaptBias(delta, points, first) {
+  const { base, tMin, tMax, skew, damp } = PUNYCODE;
+  delta = first ? Math.floor(delta / damp) : delta >> 1;
+  delta += Math.floor(delta / points);
+  let k = 0;
+  while (delta > ((base - tMin) * tMax) >> 1) {
+    delta = Math.floor(delta / (base - tMin));
+    k += base;
+  }
+  return k + Math.floor(((base - tMin + 1) * delta) / (delta + skew));
+}
+
+function threshold(k, bias) {
+  return k <= bias ? PUNYCODE.tMin : k >= bias + PUNYCODE.tMax ? PUNYCODE.tMax : k - bias;
+}
+
+function punycodeDigit(digit) {
+  return String.fromCharCode(digit < 26 ? digit + 97 : digit + 22);
+}
+
+function punycodeDigitValue(code) {
+  if (code >= 48 && code <= 57) return code - 22;
+  if (code >= 65 && code <= 90) return code - 65;
+  if (code >= 97 && code <= 122) return code - 97;
+  return PUNYCODE.base;
+}
+
+function punycodeEncodeLabel(label) {
+  const { base } = PUNYCODE;
+  const codePoints = Array.from(label, (character) => character.codePointAt(0));
+  let output = codePoints.filter((code) => code < 0x80).map((code) => String.fromCharCode(code)).join("");
+  const basic = output.length;
+  let handled = basic;
+  if (basic > 0) {
+    output += "-";
+  }
+
+  let n = PUNYCODE.initialN;
+  let delta = 0;
+  let bias = PUNYCODE.initialBias;
+  while (handled < codePoints.length) {
+    const next = codePoints.reduce((min, code) => (code >= n && code < min ? code : min), Infinity);
+    delta += (next - n) * (handled + 1);
+    n = next;
+    for (const code of codePoints) {
+      if (code < n) {
+        delta++;
+      } else if (code === n) {
+        let q = delta;
+        for (let k = base; ; k += base) {
+          const t = threshold(k, bias);
+          if (q < t) break;
+          output += punycodeDigit(t + ((q - t) % (base - t)));
+          q = Math.floor((q - t) / (base - t));
+        }
+        output += punycodeDigit(q);
+        bias = adaptBias(delta, handled + 1, handled === basic);
+        delta = 0;
+        handled++;
+      }
+    }
+    delta++;
+    n++;
+  }
+  return output;
+}
+
+function punycodeDecodeLabel(label, position) {
+  const { base } = PUNYCODE;
+  const invalid = (reason) => new Error(`Invalid punycode input: label "${label}" at position ${position} ${reason}`);
+  const encoded = label.slice(4);
+  const basicEnd = Math.max(encoded.lastIndexOf("-"), 0);
+  const output = [];
+  for (let i = 0; i < basicEnd; i++) {
+    output.push(encoded.charCodeAt(i));
+  }
+
+  let n = PUNYCODE.initialN;
+  let bias = PUNYCODE.initialBias;
+  let i = 0;
+  for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < encoded.length; ) {
+    const previous = i;
+    let weight = 1;
+    for (let k = base; ; k += base) {
+      if (index >= encoded.length) {
+        throw invalid("ends in the middle of a character");
+      }
+      const digit = punycodeDigitValue(encoded.charCodeAt(index++));
+      if (digit >= base) {
+        throw invalid(`contains "${encoded[index - 1]}", which is not a punycode digit`);
+      }
+      i += digit * weight;
+      const t = threshold(k, bias);
+      if (i > MAX_INT) {
+        throw invalid("overflows");
+      }
+      if (digit < t) break;
+      weight *= base - t;
+    }
+    const length = output.length + 1;
+    bias = adaptBias(i - previous, length, previous === 0);
+    n += Math.floor(i / length);
+    i %= length;
+    if (n > 0x10ffff) {
+      throw invalid("decodes to a code point beyond U+10FFFF");
+    }
+    output.splice(i, 0, n);
+    i++;
+  }
+  return output.map((code) => String.fromCodePoint(code)).join("");
+}
+
+function encodePunycode(text) {
+  return text.replace(LABEL, (label) => (/[^\x00-\x7F]/.test(label) ? `xn--${punycodeEncodeLabel(label)}` : label));
+}
+
+function decodePunycode(text) {
+  const nonAscii = text.search(/[^\x00-\x7F]/);
+  if (nonAscii !== -1) {
+    throw new Error(`Invalid punycode input: non-ASCII ${describeCharacter(text, nonAscii)} at position ${nonAscii}`);
+  }
+  return text.replace(LABEL, (label, position) =>
+    label.slice(0, 4).toLowerCase() === "xn--" ? punycodeDecodeLabel(label, position) : label
+  );
+}
+
+function rot13(text) {
+  return text.replace(/[A-Za-z]/g, (letter) => {
+    const base = letter <= "Z" ? 65 : 97;
+    return String.fromCharCode(((letter.charCodeAt(0) - base + 13) % 26) + base);
+  });
+}
+
+/**
+ * Encode text, returning the encoded string and, for byte encodings, the
+ * number of bytes it represents
+ */
+export function encodeText(text, encoding, charset = DEFAULT_CHARSET) {
+  switch (encoding) {
+    case "base64":
+    case "base64url":
+    case "hex":
+    case "url": {
+      const bytes = textToBytes(text, charset);
+      const encoded = encoding === "url" ? encodeUrl(bytes) : bytes.toString(encoding);
+      return { result: encoded, bytes: bytes.length };
+    }
+    case "quoted_printable":
+      return { result: encodeQuotedPrintable(text, charset), bytes: textToBytes(text, charset).length };
+    case "html":
+      return { result: encodeHtml(text) };
+    case "punycode":
+      return { result: encodePunycode(text) };
+    case "rot13":
+      return { result: rot13(text) };
+  }
+}
+
+/**
+ * Decode text, returning the decoded string and, for byte encodings, the
+ * number of bytes decoded
+ */
+export function decodeText(text, encoding, charset = DEFAULT_CHARSET) {
+  let bytes;
+  switch (encoding) {
+    case "base64":
+    case "base64url":
+      bytes = decodeBase64(text, encoding === "base64url");
+      break;
+    case "hex":
+      bytes = decodeHex(text);
+      break;
+    case "url":
+      bytes = decodeUrl(text, charset);
+      break;
+    case "quoted_printable":
+      bytes = decodeQuotedPrintable(text, charset);
+      break;
+    case "html":
+      return { result: decodeHtml(text) };
+    case "punycode":
+      return { result: decodePunycode(text) };
+    case "rot13":
+      return { result: rot13(text) };
+  }
+  return { result: bytesToText(bytes, charset), bytes: bytes.length };
+}
@@ -0,0 +1,440 @@
+/**
+ * Text layout for fixed-width output
+ *
+ * Wraps text to a number of terminal columns (see width.js), indents and
+ * aligns it, and truncates it on grapheme or word boundaries. Lines break at
+ * spaces and between Chinese or Japanese characters, never before closing or
+ * after opening punctuation. In Markdown mode paragraphs, list items and
+ * block quotes are rewrapped with their markers kept, while code, headings
+ * and tables are left as they are.
+ */
+
+import { splitLines, joinLines } from "./lines.js";
+import { segmentText } from "./segments.js";
+import { countUnits } from "./units.js";
+import { displayWidth, graphemeWidth, isWide } from "./width.js";
+
+export const ALIGNMENTS = ["left", "right", "center", "justify"];
+
+export const TRUNCATE_UNITS = ["characters", "words"];
+
+export const DEFAULT_ELLIPSIS = "…";
+
+const TAB_SIZE = 8;
+
+// Spaces lines may break at (not no-break, figure or narrow no-break spaces)
+const BREAKING_SPACE = /^[ \t\u1680\u2000-\u2006\u2008-\u200A\u205F\u3000]+$/;
+
+// Punctuation that must not start a line (closing brackets, commas and stops,
+// small kana, the long vowel mark) or end one (opening brackets)
+const NO_BREAK_BEFORE =
+  /^[!),.:;?\]}、。〉》」』】〕〜ぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ・ー！），．：；？］｝]/;
+const NO_BREAK_AFTER = /^[(\[{‘“〈《「『【〔（［｛]/;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const LIST_ITEM = /^([ \t]*(?:[-*+]|\d{1,9}[.)]))([ \t]+)(?=\S)/;
+const BLOCK_QUOTE = /^ {0,3}>[ \t]?/;
+const SETEXT_UNDERLINE = /^ {0,3}(?:=+|-+)[ \t]*$/;
+// Headings, thematic breaks, table rows and HTML blocks
+const VERBATIM = /^ {0,3}(?:#{1,6}(?:[ \t]|$)|(?:[-*_][ \t]*){3,}$|\||<)/;
+const INDENTED_CODE = /^(?: {4}|\t)/;
+// Two trailing spaces or a backslash end a line in Markdown
+const HARD_BREAK = /(?: {2,}|\\)$/;
+
+function expandTabs(line) {
+  if (!line.includes("\t")) {
+    return line;
+  }
+  let column = 0;
+  return line.replace(/[^\t]*\t/g, (run) => {
+    const before = run.slice(0, -1);
+    column += displayWidth(before);
+    const spaces = TAB_SIZE - (column % TAB_SIZE);
+    column += spaces;
+    return before + " ".repeat(spaces);
+  });
+}
+
+// Korean is written with spaces between words, so it only breaks at those
+const HANGUL = /^[\u1100-\u11FF\u3130-\u318F\uA960-\uA97F\uAC00-\uD7FF]/;
+
+// Characters a line may break before or after without a space: Chinese and
+// Japanese characters and fullwidth forms
+function breaksAnywhere(grapheme) {
+  return isWide(grapheme) && !HANGUL.test(grapheme);
+}
+
+// Last character of a line, which may be a surrogate pair
+function lastCharacter(line) {
+  const end = line.length - (/[\uDC00-\uDFFF]/.test(line[line.length - 1]) ? 2 : 1);
+  return String.fromCodePoint(line.codePointAt(end));
+}
+
+// Join wrapped lines back into one paragraph: with a space, except between
+// Chinese and Japanese characters, which are written without spaces. Only
+// the first line keeps its leading spaces.
+function joinParagraph(lines) {
+  let text = "";
+  let previous = "";
+  for (const line of lines) {
+    const next = text === "" ? line.trimEnd() : line.trim();
+    if (next === "") {
+      continue;
+    }
+    if (previous !== "") {
+      const first = String.fromCodePoint(next.codePointAt(0));
+      const joined = breaksAnywhere(lastCharacter(previous)) && breaksAnywhere(first);
+      text += joined ? "" : " ";
+    }
+    text += next;
+    previous = next;
+  }
+  return text;
+}
+
+/**
+ * Split text into words and the spaces between them. Chinese and Japanese
+ * characters are words of their own, so lines can break between them.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let word = null;
+  let space = null;
+  let previous = "";
+  for (const { segment } of segmentText(text, "grapheme")) {
+    if (BREAKING_SPACE.test(segment)) {
+      if (word) {
+        tokens.push(word);
+        word = null;
+      }
+      space ??= { text: "", width: 0, space: true };
+      space.text += segment;
+      space.width += graphemeWidth(segment);
+    } else {
+      if (space) {
+        tokens.push(space);
+        space = null;
+      }
+      const breakBefore =
+        word && (breaksAnywhere(segment) || breaksAnywhere(previous)) && !NO_BREAK_BEFORE.test(segment) && !NO_BREAK_AFTER.test(previous);
+      if (breakBefore) {
+        tokens.push(word);
+        word = null;
+      }
+      word ??= { text: "", width: 0, space: false };
+      word.text += segment;
+      word.width += graphemeWidth(segment);
+    }
+    previous = segment;
+  }
+  if (word) {
+    tokens.push(word);
+  } else if (space) {
+    tokens.push(space);
+  }
+  return tokens;
+}
+
+/**
+ * Greedily wrap text into lines of tokens. `available(i)` is the room on
+ * line i; without it the text stays on one line. Spaces at breaks are
+ * dropped.
+ */
+function wrapTokens(text, available) {
+  const lines = [];
+  let line = [];
+  let lineWidth = 0;
+  let pending = null;
+  const room = () => available?.(lines.length) ?? Infinity;
+  const newLine = () => {
+    lines.push(line);
+    line = [];
+    lineWidth = 0;
+    pending = null;
+  };
+
+  for (const token of tokenize(text)) {
+    if (token.space) {
+      // Spaces starting a continuation line are dropped, leading ones kept
+      pending = line.length > 0 || lines.length === 0 ? token : null;
+      continue;
+    }
+    if (line.some((item) => !item.space) && lineWidth + (pending?.width ?? 0) + token.width > room()) {
+      newLine();
+    }
+    if (pending) {
+      line.push(pending);
+      lineWidth += pending.width;
+      pending = null;
+    }
+    if (lineWidth + token.width <= room()) {
+      line.push(token);
+      lineWidth += token.width;
+      continue;
+    }
+    // Hard-wrap a word wider than the line, a grapheme at a time
+    let piece = null;
+    for (const { segment } of segmentText(token.text, "grapheme")) {
+      const width = graphemeWidth(segment);
+      if (lineWidth > 0 && lineWidth + width > available(lines.length)) {
+        newLine();
+        piece = null;
+      }
+      if (!piece) {
+        piece = { text: "", width: 0, space: false };
+        line.push(piece);
+      }
+      piece.text += segment;
+      piece.width += width;
+      lineWidth += width;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Divide text into blocks: `{ verbatim }` lines copied as they are, and
+ * text blocks of paragraphs (`parts`, separated by hard line breaks) with
+ * the prefixes of their first and following lines
+ */
+function plainBlocks(lines, { indent, hanging, reflow }) {
+  const blocks = [];
+  let block = null;
+  for (const line of lines) {
+    if (line.trim() === "") {
+      blocks.push({ verbatim: "" });
+      block = null;
+    } else if (reflow && block) {
+      block.parts[0].lines.push(expandTabs(line));
+    } else {
+      block = {
+        first: indent,
+        rest: indent + hanging,
+        parts: [{ lines: [expandTabs(line)], hardBreak: "" }],
+      };
+      blocks.push(block);
+    }
+  }
+  return blocks;
+}
+
+function markdownBlocks(lines, { indent, hanging }) {
+  const blocks = [];
+  let block = null;
+  let fence = null;
+  const verbatim = (line) => {
+    blocks.push({ verbatim: line === "" ? "" : indent + line });
+    block = null;
+  };
+  const open = (first, rest, sources) => {
+    block = { first, rest, parts: [{ lines: [], hardBreak: "" }], sources, quote: false };
+    blocks.push(block);
+  };
+  const append = (text) => {
+    const part = block.parts[block.parts.length - 1];
+    const breakMatch = HARD_BREAK.exec(text);
+    const content = breakMatch && breakMatch[0] !== "\\" ? text.slice(0, breakMatch.index) : text;
+    part.lines.push(expandTabs(content).trimStart());
+    if (breakMatch) {
+      part.hardBreak = breakMatch[0] === "\\" ? "" : "  ";
+      block.parts.push({ lines: [], hardBreak: "" });
+    }
+  };
+
+  for (const line of lines) {
+    if (fence) {
+      verbatim(line);
+      if (line.trimStart().startsWith(fence) && line.trim().replaceAll(fence[0], "") === "") {
+        fence = null;
+      }
+      continue;
+    }
+    const fenceMatch = FENCE.exec(line);
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      verbatim(line);
+      continue;
+    }
+    if (line.trim() === "") {
+      verbatim("");
+      continue;
+    }
+    // A paragraph underlined with = or - is a heading
+    const paragraph = block && !block.quote && !LIST_ITEM.test(block.sources[0]);
+    if (paragraph && SETEXT_UNDERLINE.test(line)) {
+      const sources = block.sources;
+      blocks.pop();
+      sources.forEach(verbatim);
+      verbatim(line);
+      continue;
+    }
+    if (VERBATIM.test(line)) {
+      verbatim(line);
+      continue;
+    }
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      const marker = expandTabs(item[1]) + (item[2].includes("\t") ? " " : item[2]);
+      open(indent + marker, indent + " ".repeat(displayWidth(marker)), [line]);
+      append(line.slice(item[0].length));
+      continue;
+    }
+    const quote = BLOCK_QUOTE.exec(line);
+    if (quote) {
+      const content = line.slice(quote[0].length);
+      if (content.trim() === "" || FENCE.test(content) || VERBATIM.test(content)) {
+        verbatim(line);
+      } else {
+        if (!block?.quote) {
+          open(`${indent}> `, `${indent}> `, []);
+          block.quote = true;
+        }
+        append(content);
+      }
+      continue;
+    }
+    if (block) {
+      block.sources.push(line);
+      append(line);
+      continue;
+    }
+    if (INDENTED_CODE.test(line)) {
+      verbatim(line);
+      continue;
+    }
+    const leading = /^ */.exec(line)[0];
+    open(indent + leading, indent + hanging + leading, [line]);
+    append(line);
+  }
+
+  // A trailing hard break has nothing to break before
+  for (const { parts } of blocks.filter((each) => each.parts)) {
+    if (parts.length > 1 && parts[parts.length - 1].lines.length === 0) {
+      parts.pop();
+      parts[parts.length - 1].hardBreak = "";
+    }
+  }
+  return blocks;
+}
+
+// Render one wrapped line, aligned within `room` columns
+function renderLine(prefix, items, room, align, last) {
+  const content = items.map((item) => item.text).join("");
+  const slack = room - items.reduce((sum, item) => sum + item.width, 0);
+  if (slack <= 0 || align === "left") {
+    return prefix + content;
+  }
+  if (align === "right") {
+    return prefix + " ".repeat(slack) + content;
+  }
+  if (align === "center") {
+    return prefix + " ".repeat(Math.floor(slack / 2)) + content;
+  }
+  // Justify: widen the spaces between words, leftmost first; the last line
+  // of a paragraph stays left-aligned
+  const gaps = items.filter((item, i) => item.space && i > 0);
+  if (last || gaps.length === 0) {
+    return prefix + content;
+  }
+  const base = Math.floor(slack / gaps.length);
+  let extra = slack % gaps.length;
+  return (
+    prefix +
+    items
+      .map((item, i) => {
+        if (!item.space || i === 0) {
+          return item.text;
+        }
+        const widened = item.text + " ".repeat(base + (extra > 0 ? 1 : 0));
+        extra--;
+        return widened;
+      })
+      .join("")
+  );
+}
+
+/**
+ * Lay out text. Options: `width` (columns to wrap at; unwrapped without
+ * it), `indent` and `hangingIndent` (extra indent of following lines, in
+ * columns), `align`, `markdown`, and `reflow` (join the lines of each plain
+ * paragraph before wrapping). Right, center and justify alignment without a
+ * width align to the widest line. Returns the text, its number of lines and
+ * the width of the widest one.
+ */
+export function formatText(text, { width, indent = 0, hangingIndent = 0, align = "left", markdown = false, reflow = false }) {
+  const split = splitLines(text);
+  const options = { indent: " ".repeat(indent), hanging: " ".repeat(hangingIndent), reflow };
+  const blocks = markdown ? markdownBlocks(split.lines, options) : plainBlocks(split.lines, options);
+
+  // Wrap every paragraph into { prefix, items, last } lines
+  const wrapped = blocks.map((block) => {
+    if (block.parts === undefined) {
+      return block;
+    }
+    const lines = [];
+    block.parts.forEach(({ lines: partLines, hardBreak }, partIndex) => {
+      const prefix = (i) => (partIndex === 0 && i === 0 ? block.first : block.rest);
+      const room = width === undefined ? undefined : (i) => width - displayWidth(prefix(i));
+      const wrappedLines = wrapTokens(joinParagraph(partLines), room);
+      wrappedLines.forEach((items, i) => {
+        lines.push({ prefix: prefix(i), items, last: i === wrappedLines.length - 1, hardBreak });
+      });
+    });
+    return { lines };
+  });
+
+  const lineWidth = (items) => items.reduce((sum, item) => sum + item.width, 0);
+  const widest = Math.max(
+    0,
+    ...wrapped.flatMap((block) => block.lines?.map(({ prefix, items }) => displayWidth(prefix) + lineWidth(items)) ?? [])
+  );
+  const target = width ?? widest;
+
+  const output = wrapped.flatMap((block) => {
+    if (block.lines === undefined) {
+      return [block.verbatim];
+    }
+    return block.lines.map(({ prefix, items, last, hardBreak }) => {
+      const rendered = renderLine(prefix, items, target - displayWidth(prefix), align, last);
+      return rendered.trimEnd() + (last ? hardBreak : "");
+    });
+  });
+
+  return { text: joinLines(output, split), lines: output.length, maxLineWidth: Math.max(0, ...output.map(displayWidth)) };
+}
+
+/**
+ * Shorten text to at most `limit` characters (graphemes, the ellipsis
+ * included) or words, cutting on a grapheme boundary and appending the
+ * ellipsis. Returns the text and whether it was shortened.
+ */
+export function truncateText(text, limit, unit, ellipsis = DEFAULT_ELLIPSIS) {
+  if (unit === "words") {
+    let count = 0;
+    for (const { index, isWordLike } of segmentText(text, "word")) {
+      if (!isWordLike) {
+        continue;
+      }
+      if (count === limit) {
+        return { text: text.slice(0, index).trimEnd().replace(/[\s\p{P}]+$/u, "") + ellipsis, truncated: true };
+      }
+      count++;
+    }
+    return { text, truncated: false };
+  }
+
+  // Stop segmenting as soon as the text proves longer than the limit
+  const keep = limit - countUnits(ellipsis);
+  let end = 0;
+  let count = 0;
+  for (const { index } of segmentText(text, "grapheme")) {
+    if (count === keep) {
+      end = index;
+    }
+    if (++count > limit) {
+      return { text: text.slice(0, end).trimEnd() + ellipsis, truncated: true };
+    }
+  }
+  return { text, truncated: false };
+}
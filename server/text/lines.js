@@ -0,0 +1,229 @@
+/**
+ * Line operations
+ *
+ * List manipulations on the lines of a text, applied one after another so
+ * a single call can, say, filter, sort, dedupe and number. Each operation is
+ * an object naming its `op` plus that operation's options.
+ */
+
+import { resolveLocale } from "./locale.js";
+import { evaluateRegex, validateRegex } from "./regex.js";
+
+export const LINE_OPERATIONS = ["sort", "unique", "filter", "head", "tail", "number", "remove_blank", "columns"];
+
+export const SORT_ORDERS = ["lexical", "natural", "numeric", "locale"];
+
+export const MAX_OPERATIONS = 50;
+
+// Leading number of a line for numeric sorting
+const LEADING_NUMBER = /^\s*[-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?/;
+
+/**
+ * Split text into lines, remembering the line ending and whether the text
+ * ended with one so joinLines can restore them
+ */
+export function splitLines(text) {
+  const newline = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text === "" ? [] : text.split(/\r?\n/);
+  const trailingNewline = lines.length > 0 && lines[lines.length - 1] === "";
+  if (trailingNewline) {
+    lines.pop();
+  }
+  return { lines, newline, trailingNewline };
+}
+
+export function joinLines(lines, { newline, trailingNewline }) {
+  return lines.join(newline) + (trailingNewline && lines.length > 0 ? newline : "");
+}
+
+function optionError(index, message) {
+  return new Error(`Invalid operations[${index}]: ${message}`);
+}
+
+function nonNegativeInteger(value, name, index, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (!Number.isInteger(value) || value < 0) {
+    throw optionError(index, `${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+function stringOption(value, name, index, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (typeof value !== "string") {
+    throw optionError(index, `${name} must be a string`);
+  }
+  return value;
+}
+
+function sortLines(lines, operation, index) {
+  const order = operation.order ?? "lexical";
+  if (!SORT_ORDERS.includes(order)) {
+    throw optionError(index, `unknown sort order ${order}. Expected one of: ${SORT_ORDERS.join(", ")}`);
+  }
+  const caseInsensitive = operation.case_insensitive === true;
+  let compare;
+  switch (order) {
+    case "lexical": {
+      const key = caseInsensitive ? (line) => line.toLowerCase() : (line) => line;
+      compare = (a, b) => {
+        const [keyA, keyB] = [key(a), key(b)];
+        return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+      };
+      break;
+    }
+    case "natural":
+    case "locale": {
+      const collator = new Intl.Collator(resolveLocale(operation.locale) ?? "en", {
+        numeric: order === "natural",
+        sensitivity: caseInsensitive ? "accent" : "variant",
+      });
+      compare = collator.compare;
+      break;
+    }
+    case "numeric": {
+      // Lines without a leading number sort after those with one (before, reversed)
+      const value = (line) => {
+        const match = LEADING_NUMBER.exec(line);
+        return match ? Number(match[0]) : NaN;
+      };
+      compare = (a, b) => {
+        const [valueA, valueB] = [value(a), value(b)];
+        if (Number.isNaN(valueA) || Number.isNaN(valueB)) {
+          return Number.isNaN(valueA) - Number.isNaN(valueB);
+        }
+        return valueA - valueB;
+      };
+      break;
+    }
+  }
+  // Sorting is stable, so equal lines keep their order either way
+  const reverse = operation.reverse === true;
+  return [...lines].sort(reverse ? (a, b) => compare(b, a) : compare);
+}
+
+function uniqueLines(lines, operation, index) {
+  const keep = operation.keep ?? "first";
+  if (keep !== "first" && keep !== "last") {
+    throw optionError(index, `keep must be first or last, not ${keep}`);
+  }
+  const key = operation.case_insensitive === true ? (line) => line.toLowerCase() : (line) => line;
+  const seen = new Set();
+  const ordered = keep === "last" ? [...lines].reverse() : lines;
+  const unique = ordered.filter((line) => {
+    const lineKey = key(line);
+    if (seen.has(lineKey)) {
+      return false;
+    }
+    seen.add(lineKey);
+    return true;
+  });
+  return keep === "last" ? unique.reverse() : unique;
+}
+
+function filterLines(lines, operation, index) {
+  const { contains, pattern } = operation;
+  if ((contains === undefined) === (pattern === undefined)) {
+    throw optionError(index, "filter needs exactly one of contains or pattern");
+  }
+  const invert = operation.invert === true;
+
+  if (contains !== undefined) {
+    const needle = stringOption(contains, "contains", index);
+    if (operation.case_insensitive === true) {
+      const lowerNeedle = needle.toLowerCase();
+      return lines.filter((line) => line.toLowerCase().includes(lowerNeedle) !== invert);
+    }
+    return lines.filter((line) => line.includes(needle) !== invert);
+  }
+
+  const flags = stringOption(operation.flags, "flags", index, "");
+  try {
+    validateRegex(pattern, flags);
+  } catch (error) {
+    throw optionError(index, error.message);
+  }
+  // Global and sticky flags would make each test depend on the previous line
+  const { kept } = evaluateRegex({ mode: "filter", pattern, flags: flags.replace(/[gy]/g, ""), lines, invert });
+  return kept.map((line) => lines[line]);
+}
+
+function numberLines(lines, operation, index) {
+  const start = operation.start ?? 1;
+  if (!Number.isInteger(start)) {
+    throw optionError(index, "start must be an integer");
+  }
+  const separator = stringOption(operation.separator, "separator", index, ": ");
+  const width = String(start + lines.length - 1).length;
+  return lines.map((line, i) => `${String(start + i).padStart(width)}${separator}${line}`);
+}
+
+function extractColumns(lines, operation, index) {
+  const { columns } = operation;
+  const valid = (column) => Number.isInteger(column) && column !== 0;
+  if (!Array.isArray(columns) || columns.length === 0 || !columns.every(valid)) {
+    throw optionError(index, "columns must be a non-empty array of 1-based column numbers (negative counts from the end)");
+  }
+  const delimiter = stringOption(operation.delimiter, "delimiter", index);
+  if (delimiter === "") {
+    throw optionError(index, "delimiter must not be empty");
+  }
+  const outputDelimiter = stringOption(operation.output_delimiter, "output_delimiter", index, delimiter ?? " ");
+
+  return lines.map((line) => {
+    // Without a delimiter, fields are separated by runs of whitespace
+    const fields = delimiter === undefined ? line.trim().split(/\s+/) : line.split(delimiter);
+    return columns
+      .map((column) => fields[column > 0 ? column - 1 : fields.length + column] ?? "")
+      .join(outputDelimiter);
+  });
+}
+
+function applyOperation(lines, operation, index) {
+  switch (operation.op) {
+    case "sort":
+      return sortLines(lines, operation, index);
+    case "unique":
+      return uniqueLines(lines, operation, index);
+    case "filter":
+      return filterLines(lines, operation, index);
+    case "head":
+      return lines.slice(0, nonNegativeInteger(operation.count, "count", index, 10));
+    case "tail": {
+      const count = nonNegativeInteger(operation.count, "count", index, 10);
+      return count === 0 ? [] : lines.slice(-count);
+    }
+    case "number":
+      return numberLines(lines, operation, index);
+    case "remove_blank":
+      return lines.filter((line) => line.trim() !== "");
+    case "columns":
+      return extractColumns(lines, operation, index);
+  }
+}
+
+/**
+ * Apply operations in order. Returns the resulting lines and, per
+ * operation, how many lines it left.
+ */
+export function applyLineOperations(lines, operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new Error("Invalid operations: expected a non-empty array of operations");
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    throw new Error(`Invalid operations: ${operations.length} exceeds maximum of ${MAX_OPERATIONS}`);
+  }
+  const steps = [];
+  operations.forEach((operation, index) => {
+    if (typeof operation !== "object" || operation === null || !LINE_OPERATIONS.includes(operation.op)) {
+      throw optionError(index, `unknown op ${operation?.op}. Expected one of: ${LINE_OPERATIONS.join(", ")}`);
+    }
+    lines = applyOperation(lines, operation, index);
+    steps.push({ op: operation.op, lines: lines.length });
+  });
+  return { lines, steps };
+}
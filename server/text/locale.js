@@ -0,0 +1,47 @@
+/**
+ * Locale handling
+ *
+ * Tools with language-specific rules (casing, segmentation) take an optional
+ * BCP 47 `locale`. Without one they keep locale-independent behavior rather
+ * than falling back to the host's default locale.
+ */
+
+/**
+ * JSON schema for a tool's `locale` argument
+ */
+export const localeSchema = {
+  type: "string",
+  description: "BCP 47 locale tag for language-specific rules, e.g. tr, de or en-US",
+};
+
+/**
+ * Validate a `locale` argument and return its canonical form (or undefined)
+ */
+export function resolveLocale(locale) {
+  if (locale === undefined || locale === null) {
+    return undefined;
+  }
+  try {
+    const [canonical] = Intl.getCanonicalLocales(locale);
+    if (canonical) {
+      return canonical;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new Error(`Invalid locale: ${locale}`);
+}
+
+/**
+ * Uppercase text, using the locale's rules when one is given
+ */
+export function toUpper(text, locale) {
+  return locale ? text.toLocaleUpperCase(locale) : text.toUpperCase();
+}
+
+/**
+ * Lowercase text, using the locale's rules when one is given
+ */
+export function toLower(text, locale) {
+  return locale ? text.toLocaleLowerCase(locale) : text.toLowerCase();
+}
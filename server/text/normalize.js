@@ -0,0 +1,149 @@
+/**
+ * Text cleanup
+ *
+ * Composable normalization steps for text pasted from PDFs and web pages.
+ * Steps run in a fixed order (invisible characters, normalization form,
+ * diacritics, punctuation, whitespace, line trimming, line endings) so the
+ * result does not depend on how options are listed, and each step counts
+ * the changes it made.
+ */
+
+export const NORMALIZATION_FORMS = ["NFC", "NFD", "NFKC", "NFKD"];
+
+export const LINE_ENDINGS = { lf: "\n", crlf: "\r\n", cr: "\r" };
+
+// Format characters that render as nothing: soft hyphen, zero-width space,
+// word joiners, bidi marks and embeddings, BOM. ZWJ and ZWNJ are kept since
+// emoji sequences and several scripts depend on them.
+const INVISIBLE =
+  /[\u00AD\u061C\u180E\u200B\u200E\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\uFEFF\uFFF9-\uFFFB]/g;
+
+// C0 and C1 controls other than tab, line feed, carriage return and NEL
+const CONTROL = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x84\x86-\x9F]/g;
+
+// A base character with its combining marks (and Hangul jamo that compose
+// with it), the unit normalization changes are counted in
+const NORMALIZATION_CLUSTER = /\p{M}+|\P{M}[\p{M}\u1160-\u11FF]*/gu;
+
+// Combining diacritical marks left after canonical decomposition
+const DIACRITICS = /[\u0300-\u036F\u1AB0-\u1AFF\u1DC0-\u1DFF\uFE20-\uFE2F]/g;
+
+// Letters whose diacritic is part of the letter rather than a combining mark
+const BASE_LETTERS = { ø: "o", Ø: "O", ł: "l", Ł: "L", đ: "d", Đ: "D", ħ: "h", Ħ: "H", ı: "i", ŧ: "t", Ŧ: "T" };
+
+const PUNCTUATION = {
+  "‘": "'", // left single quotation mark
+  "’": "'", // right single quotation mark
+  "‚": "'", // single low-9 quotation mark
+  "‛": "'", // single high-reversed-9 quotation mark
+  "′": "'", // prime
+  "‹": "'", // single left-pointing angle quotation mark
+  "›": "'", // single right-pointing angle quotation mark
+  "“": '"', // left double quotation mark
+  "”": '"', // right double quotation mark
+  "„": '"', // double low-9 quotation mark
+  "‟": '"', // double high-reversed-9 quotation mark
+  "″": '"', // double prime
+  "«": '"', // left-pointing double angle quotation mark
+  "»": '"', // right-pointing double angle quotation mark
+  "‐": "-", // hyphen
+  "‑": "-", // non-breaking hyphen
+  "‒": "-", // figure dash
+  "–": "-", // en dash
+  "—": "-", // em dash
+  "―": "-", // horizontal bar
+  "−": "-", // minus sign
+  "…": "...", // horizontal ellipsis
+  "⁄": "/", // fraction slash
+};
+
+const PUNCTUATION_PATTERN = new RegExp(`[${Object.keys(PUNCTUATION).join("")}]`, "g");
+
+// Horizontal whitespace, including no-break and other Unicode spaces
+const SPACE = "\\t \\u00A0\\u1680\\u2000-\\u200A\\u202F\\u205F\\u3000";
+const SPACE_RUN = new RegExp(`[${SPACE}]+`, "g");
+const LINE_EDGE_SPACE = new RegExp(`^[${SPACE}]+|[${SPACE}]+$`, "gm");
+
+const LINE_BREAK = /\r\n|\r|\n|\u2028|\u2029|\u0085/g;
+
+// Replace every match, counting the replacements that changed something
+function replaceCounting(text, pattern, replacement) {
+  let count = 0;
+  const result = text.replace(pattern, (match) => {
+    const replaced = typeof replacement === "function" ? replacement(match) : replacement;
+    if (replaced !== match) {
+      count++;
+    }
+    return replaced;
+  });
+  return [result, count];
+}
+
+function normalizeForm(text, form) {
+  const normalized = text.normalize(form);
+  if (normalized === text) {
+    return [text, 0];
+  }
+  // Normalize the text as a whole, but report how many characters changed
+  let count = 0;
+  for (const [cluster] of text.matchAll(NORMALIZATION_CLUSTER)) {
+    if (cluster.normalize(form) !== cluster) {
+      count++;
+    }
+  }
+  return [normalized, count];
+}
+
+/**
+ * Remove combining diacritics and spell letters such as ł without theirs,
+ * then recompose in `form` (NFC by default). Returns the text and the number
+ * of diacritics removed.
+ */
+export function removeDiacritics(text, form) {
+  const [stripped, marks] = replaceCounting(text.normalize("NFD"), DIACRITICS, "");
+  const [result, letters] = replaceCounting(stripped, /[øØłŁđĐħĦıŧŦ]/g, (letter) => BASE_LETTERS[letter]);
+  return [result.normalize(form ?? "NFC"), marks + letters];
+}
+
+/**
+ * Apply the selected cleanup steps. Returns the text and, for each step
+ * that ran, the number of changes it made.
+ */
+export function normalizeText(text, options = {}) {
+  const changes = {};
+  const step = (name, apply) => {
+    const [result, count] = apply(text);
+    text = result;
+    changes[name] = count;
+  };
+
+  if (options.strip_invisible) {
+    step("strip_invisible", (value) => {
+      const [visible, invisible] = replaceCounting(value, INVISIBLE, "");
+      const [result, controls] = replaceCounting(visible, CONTROL, "");
+      return [result, invisible + controls];
+    });
+  }
+  if (options.form) {
+    step("form", (value) => normalizeForm(value, options.form));
+  }
+  if (options.remove_diacritics) {
+    step("remove_diacritics", (value) => removeDiacritics(value, options.form));
+  }
+  if (options.fold_punctuation) {
+    step("fold_punctuation", (value) =>
+      replaceCounting(value, PUNCTUATION_PATTERN, (character) => PUNCTUATION[character])
+    );
+  }
+  if (options.collapse_whitespace) {
+    step("collapse_whitespace", (value) => replaceCounting(value, SPACE_RUN, " "));
+  }
+  if (options.trim_lines) {
+    step("trim_lines", (value) => replaceCounting(value, LINE_EDGE_SPACE, ""));
+  }
+  if (options.line_endings) {
+    step("line_endings", (value) => replaceCounting(value, LINE_BREAK, LINE_ENDINGS[options.line_endings]));
+  }
+
+  return { text, changes };
+}
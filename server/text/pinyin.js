@@ -0,0 +1,474 @@
+/**
+ * Pinyin readings
+ *
+ * Toneless Hanyu Pinyin for common Han characters: the 3755 characters of
+ * GB 2312 level 1 and the traditional forms among the Big5 level 1
+ * characters, with ü written as u. A character with several readings gets
+ * its most common one, since the right reading depends on the word.
+ * Generated from the dictionary of the pinyin-pro package (MIT).
+ */
+
+// One syllable per line, followed by the characters read that way
+const READINGS = `
+  a 啊阿
+  ai 埃挨哎唉哀皑癌蔼矮艾碍爱隘捱愛皚噯曖璦礙藹靄
+  an 鞍氨安俺按暗岸胺案庵菴銨諳鵪黯
+  ang 肮昂盎骯
+  ao 凹敖熬翱袄傲奥懊澳拗奧媼嗷遨聱襖鏖鼇
+  ba 芭捌扒叭吧笆八疤巴拔跋靶把坝霸罢爸罷壩灞
+  bai 白柏百摆佰败拜稗敗擺襬
+  ban 斑班搬扳般颁板版扮拌伴瓣半办绊阪姅舨絆鈑頒瘢辦闆
+  bang 邦帮梆榜膀绑棒磅蚌镑傍谤綁幫謗鎊
+  bao 苞胞包褒剥薄雹保堡饱宝抱报暴豹鲍爆剝報葆鉋飽褓鮑寶鑤
+  bei 杯碑悲卑北辈背贝钡倍狈备惫焙被孛貝邶陂盃悖狽備揹蓓輩鋇憊
+  ben 奔苯本笨畚
+  beng 崩绷甭泵蹦迸繃
+  bi 逼鼻比鄙笔彼碧蓖蔽毕毙毖币庇痹闭敝弊必壁臂避陛匕妣沘俾祕婢畢荸閉
+  bi 弼愎筆詖賁痺鉍嗶幣裨篦斃薜璧蹕襞
+  bian 鞭边编贬扁便变卞辨辩辫遍弁汴釆砭匾貶編蝙褊邊辮辯變
+  biao 标彪膘表婊標錶鏢鰾鑣
+  bie 鳖憋别瘪別彆癟鱉
+  bin 彬斌濒滨宾摈賓儐頻濱豳檳殯臏瀕繽鬢
+  bing 兵冰柄丙秉饼炳病并並併摒稟鉼餅
+  bo 玻菠播拨钵波博勃搏铂箔伯帛舶脖膊渤泊驳簿亳缽跛鈸鉑駁撥蔔擘檗簸蘗
+  bu 捕卜哺补埠不布步部怖佈補鈽誧
+  ca 擦
+  cai 猜裁材才财睬踩采彩菜蔡財採綵纔
+  can 餐参蚕残惭惨灿參殘慚慘燦璨蠶
+  cang 苍舱仓沧藏倉傖滄蒼艙
+  cao 操糙槽曹草嘈漕
+  ce 厕策侧册测冊側廁惻測
+  cen 岑涔
+  ceng 层蹭曾層
+  cha 插叉茬茶查碴搽察岔差诧刹剎詫
+  chai 拆柴豺釵儕
+  chan 搀掺蝉馋谗缠铲产阐颤產孱剷摻嬋潺諂澶毚蟬儳蟾鏟巉懺攙闡纏羼顫讒饞
+  chang 昌猖场尝常长偿肠厂敞畅唱倡長倀娼徜悵場萇腸嘗嫦暢廠氅償嚐鯧
+  chao 超抄钞朝嘲潮巢吵炒晁鈔
+  che 车扯撤掣彻澈坼徹
+  chen 郴臣辰尘晨忱沉陈趁衬疢宸陳琛塵瞋諶櫬襯讖
+  cheng 撑称城橙成呈乘程惩澄诚承逞骋秤丞誠稱撐瞠騁懲
+  chi 吃痴持匙池迟弛驰耻齿侈尺赤翅斥炽叱呎恥蚩敕笞豉啻喫飭嗤馳墀踟齒熾
+  chi 褫遲癡魑
+  chong 充冲虫崇宠沖舂憧衝蟲寵
+  chou 抽酬畴踌稠愁筹仇绸瞅丑臭惆綢儔醜疇籌躊
+  chu 初出橱厨躇锄雏滁除楚础储矗搐触处畜怵杵芻絀處楮褚廚鋤儲歜黜礎雛櫥
+  chu 觸齣
+  chuai 揣踹
+  chuan 川穿椽传船喘串舛釧傳
+  chuang 疮窗床闯创創愴瘡闖
+  chui 吹炊捶锤垂陲槌箠錘鎚
+  chun 春椿醇唇淳纯蠢純脣鶉
+  chuo 戳绰啜綽輟齪
+  ci 疵茨磁雌辞慈瓷词此刺赐次祠詞賜辭
+  cong 聪葱囱匆从丛囪從淙樅蔥聰叢
+  cou 凑湊輳
+  cu 粗醋簇促蹙蹴
+  cuan 蹿篡窜竄爨
+  cui 摧崔催脆瘁粹淬翠悴萃璀
+  cun 村存寸吋忖皴
+  cuo 磋撮搓措挫错厝嵯銼錯蹉
+  da 搭达答瘩打大怛達靼褡韃
+  dai 呆歹傣戴带殆代贷袋待逮怠岱玳迨帶貸黛
+  dan 耽担丹单郸掸胆旦氮但惮淡诞蛋疸訑啖啗單彈憚撢誕擔澹膽簞
+  dang 当挡党荡档當儅噹擋蕩檔盪襠黨鐺讜
+  dao 刀捣蹈倒岛祷导到稻悼道盗叨島盜搗裯導燾禱
+  de 德得的
+  deng 蹬灯登等瞪凳邓嶝鄧燈磴
+  di 堤低滴迪敌笛狄涤嫡抵底地蒂第帝弟递缔氐邸柢牴娣砥荻棣詆隄嘀滌遞敵
+  di 締諦鏑
+  dian 颠掂滇碘点典靛垫电佃甸店惦奠淀殿玷鈿電墊澱點顛巔癲
+  diao 碉叼雕凋刁掉吊钓弔彫釣貂調鯛
+  die 跌爹碟蝶迭谍叠喋絰耋牒諜疊
+  ding 丁盯叮钉顶鼎锭定订仃訂酊釘頂錠
+  diu 丢丟
+  dong 东冬董懂动栋侗恫冻洞咚東峒凍胴動棟湩鼕
+  dou 兜抖斗陡豆逗痘都枓蚪鬥脰竇
+  du 督毒犊独读堵睹赌杜镀肚度渡妒嘟賭獨篤鍍瀆櫝牘犢讀髑蠹黷
+  duan 端短锻段断缎緞鍛斷
+  dui 堆兑队对兌隊碓對
+  dun 墩吨蹲敦顿钝盾遁沌盹惇鈍頓噸燉躉
+  duo 掇哆多夺垛躲朵跺舵剁惰堕咄奪墮綞踱鐸
+  e 蛾峨鹅俄额讹娥恶厄扼遏鄂饿呃堊婀訛軛惡愕萼餓噩鍔額顎鵝鱷
+  en 恩
+  er 而儿耳尔饵洱二贰兒貳爾餌邇
+  fa 发罚筏伐乏阀法珐砝琺發罰閥髮
+  fan 藩帆番翻樊矾钒繁凡烦反返范贩犯饭泛氾汎梵販釩飯煩墦幡範蕃繙礬
+  fang 坊芳方肪房防妨仿访纺放枋倣紡舫訪
+  fei 菲非啡飞肥匪诽吠肺废沸费妃芾飛屝扉斐腓費痱翡廢誹霏
+  fen 芬酚吩氛分纷坟焚汾粉奋份忿愤粪紛棻墳憤奮糞
+  feng 丰封枫蜂峰锋风疯烽逢冯缝讽奉凤風俸馮楓瘋鳳鋒諷縫豐
+  fo 佛
+  fou 否缶
+  fu 夫敷肤孵扶拂辐幅氟符伏俘服浮涪福袱弗甫抚辅俯釜斧腑府腐赴副覆赋复
+  fu 傅付阜父腹负富讣附妇缚咐伕孚彿怫芙芣訃負匐婦紼紱趺復菔鈇輔撫膚蝠
+  fu 複賦頫駙麩縛輻賻馥
+  ga 噶嘎尬
+  gai 该改概钙盖溉丐垓鈣該賅蓋
+  gan 干甘杆柑竿肝赶感秆敢赣坩疳桿淦稈幹榦趕橄尷贛
+  gang 冈刚钢缸肛纲岗港杠岡剛崗釭槓綱鋼
+  gao 篙皋高膏羔糕搞稿告杲槁誥縞鎬
+  ge 哥歌搁戈鸽胳疙割革葛格阁隔铬个各咯個鬲箇膈鉻閣骼擱鴿鎘
+  gei 给給
+  gen 根跟亙艮
+  geng 耕更庚羹埂耿梗哽賡
+  gong 工攻功恭龚供躬公宫弓巩汞拱贡共廾肱宮蚣貢鞏龔
+  gou 钩勾沟苟狗垢构购够佝枸夠媾搆溝詬鉤雊構遘購
+  gu 辜菇咕箍估沽孤姑鼓古蛊骨谷股故顾固雇牯罟蛄菰詁鈷僱穀錮鴣轂瞽顧蠱
+  gua 刮瓜剐寡挂褂卦呱掛颳
+  guai 乖拐怪枴
+  guan 棺关官冠观管馆罐惯灌贯倌貫琯慣盥館關鰥觀鸛莞
+  guang 光广逛洸胱廣獷
+  gui 瑰规圭硅归龟闺轨鬼诡癸桂柜跪贵刽皈軌珪規晷貴詭閨劊龜檜鮭櫃歸鱖
+  gun 辊滚棍袞滾輥鯀
+  guo 锅郭国果裹过國猓堝聒過幗摑槨蟈鍋
+  ha 蛤哈
+  hai 骸孩海氦亥害骇还咳駭
+  han 酣憨邯韩含涵寒函喊罕翰撼捍旱憾悍焊汗汉蚶漢銲頷韓鼾瀚
+  hang 夯杭航沆
+  hao 镐壕嚎豪毫郝好耗号浩昊皓嗥號鄗蒿濠蠔顥
+  he 呵喝荷菏核禾和何合盒阂河涸赫褐鹤贺劾曷紇郃盍訶賀閡閤頜翮嚇壑闔鶴
+  hei 嘿黑嗨
+  hen 痕很狠恨
+  heng 哼亨横衡恒恆桁橫
+  hong 轰哄烘虹鸿洪宏弘红泓紅訌閎鬨薨鴻轟黌
+  hou 喉侯猴吼厚候后後逅堠篌鱟
+  hu 呼乎忽瑚壶葫胡蝴狐糊湖弧虎唬护互沪户戶囫沍惚扈斛瓠壺琥滬濩鵠鬍護
+  hua 花哗华猾滑画划化话畫華話劃嘩樺譁
+  huai 槐徊怀淮坏踝壞懷
+  huan 欢环桓缓换患唤痪豢焕涣宦幻奐洹喚換渙煥瘓緩寰澴環還鍰歡
+  huang 荒慌黄磺蝗簧皇凰惶煌晃幌恍谎肓徨湟隍黃遑篁璜謊韹
+  hui 灰挥辉徽恢蛔回毁悔慧卉惠晦贿秽会烩汇讳诲绘虺茴迴彗喙揮匯彙暉會毀
+  hui 詼賄誨輝麾蕙諱燬燴穢繪
+  hun 荤昏婚魂浑混渾琿葷餛
+  huo 豁活伙火获或惑霍货祸貨夥禍擭獲穫
+  ji 击圾基机畸稽积箕肌饥迹激讥鸡姬绩缉吉极棘辑籍集及急疾汲即嫉级挤几
+  ji 脊己蓟技冀季伎祭剂悸济寄寂计记既忌际妓继纪乩伋岌芰亟洎紀計唧屐級
+  ji 記飢嵇幾戟犄勣戢極楫跡麂暨際嘰畿瘠稷緝劑機璣積輯髻擊擠濟磯績薊覬
+  ji 薺蹟雞鯽譏繼饑躋霽羈驥
+  jia 嘉枷夹佳家加荚颊贾甲钾假稼价架驾嫁伽夾胛迦浹痂戛莢袈傢葭賈鉀價駕
+  jia 豭頰
+  jian 歼监坚尖笺间煎兼肩艰奸缄茧检柬碱硷拣捡简俭剪减荐鉴践贱见键箭件健
+  jian 舰剑饯渐溅涧建囝見姦堅揀湔減菅間毽筧腱僭漸監箋儉劍澗緘賤踐撿縑諫
+  jian 餞檢艱鍵檻濺瞼簡薦鵑繭艦殲鑑鑒鹼韉
+  jiang 僵姜将浆江疆蒋桨奖讲匠酱降將絳槳漿獎蔣薑講醬韁
+  jiao 蕉椒礁焦胶交郊浇骄娇嚼搅铰矫侥脚狡角饺缴绞剿教酵轿较叫窖姣皎絞蛟
+  jiao 勦腳跤較僥嘐鉸餃嬌澆膠矯鮫繳轎醮驕攪
+  jie 揭接皆秸街阶截劫节杰捷睫竭洁结解姐戒藉芥界借介疥诫届孑屆拮桀訐傑
+  jie 結階嗟節詰碣誡潔羯頡
+  jin 巾筋斤金今津襟紧锦仅谨进靳晋禁近烬浸尽劲勁矜觔晉進僅盡緊瑾儘噤縉
+  jin 錦燼覲謹饉
+  jing 荆兢茎睛晶鲸京惊精粳经井警景颈静境敬镜径痉靖竟竞净阱徑涇荊旌淨莖
+  jing 逕痙菁經憬璟靜頸鏡鯨競驚
+  jiong 炯窘迥
+  jiu 揪究纠玖韭久灸九酒厩救旧臼舅咎就疚糾柩赳啾廄鳩舊
+  ju 桔鞠拘狙疽居驹菊局矩举沮聚拒据巨具距踞锯俱句惧炬剧車侷苣倨砠掬莒
+  ju 鉅跼劇駒據橘鋸屨舉遽颶齟懼
+  juan 捐鹃娟倦眷卷绢涓狷捲絹鐫
+  jue 撅攫抉掘倔爵觉决诀绝孓決玨崛訣厥絕劂獗鴃噱蕨譎蹶覺觼
+  jun 均菌钧军君峻俊竣浚郡骏軍鈞雋濬駿
+  ka 喀咖卡
+  kai 开揩楷凯慨凱剴愒開愾愷
+  kan 槛刊堪勘坎砍看侃崁戡瞰
+  kang 康慷糠扛抗亢炕伉
+  kao 考拷烤靠犒銬
+  ke 坷苛柯棵磕颗科壳可渴克刻客课恪蚵殼軻嗑溘稞窠瞌緙蝌課顆髁
+  kei 剋
+  ken 肯啃垦恳墾懇
+  keng 坑吭阬鏗
+  kong 空恐孔控倥崆硿
+  kou 抠口扣寇叩釦
+  ku 枯哭窟苦酷库裤庫楛骷褲
+  kua 夸垮挎跨胯誇
+  kuai 块筷侩快塊儈膾
+  kuan 宽款梡寬髖
+  kuang 匡筐狂框矿眶旷况劻況誑壙曠礦
+  kui 亏盔岿窥葵奎魁傀馈愧溃喟揆逵匱睽潰窺虧簣餽夔
+  kun 坤昆捆困崑梱焜琨睏綑髡錕
+  kuo 括扩廓阔蛞闊擴
+  la 垃拉喇蜡腊辣啦剌臘邋蠟
+  lai 莱来赖來徠萊睞賴瀨癩籟
+  lan 蓝婪栏拦篮阑兰澜谰揽览懒缆烂滥嵐濫闌藍懶攔瀾籃襤斕欄爛蘭覽籣攬欖
+  lan 纜
+  lang 琅榔狼廊郎朗浪瑯螂
+  lao 捞劳牢老佬姥酪烙涝勞嘮撈癆
+  le 勒乐叻樂了
+  lei 雷镭蕾磊累儡垒擂肋类泪耒淚嫘縲壘羸類鐳
+  leng 棱楞冷愣稜
+  li 厘梨犁黎篱狸离漓理李里鲤礼莉荔吏栗丽厉励砾历利傈例俐痢立粒沥隶力
+  li 璃哩戾俚娌浬唳琍笠喱慄溧蜊裡蒞貍厲鋰曆歷澧罹勵隸癘禮釐離鯉壢瀝麗
+  li 礪礫醴儷蠣蠡酈欐邐靂籬驪
+  lia 俩
+  lian 联莲连镰廉怜涟帘敛脸链恋炼练連楝煉奩漣憐練蓮濂斂殮聯臉鍊簾鏈瀲鐮
+  lian 鰱戀
+  liang 粮凉梁粱良两辆量晾亮谅兩倆涼樑諒輛糧魎
+  liao 撩聊僚疗燎寥辽潦撂镣廖料嘹寮暸遼療瞭繚
+  lie 列裂烈劣猎冽咧洌捩獵鬣
+  lin 琳林磷霖临邻鳞淋凛赁吝拎賃凜鄰懍燐璘遴臨轔藺鱗麟躪
+  ling 玲菱零龄铃伶羚凌灵陵岭领另令泠昤苓翎聆蛉鈴綾領蔆鴒嶺齡櫺靈
+  liu 溜琉榴硫馏留刘瘤流柳六遛劉瀏霤餾
+  long 龙聋咙笼窿隆垄拢陇龍壟攏隴嚨朧瓏矓籠聾
+  lou 楼娄搂篓漏陋婁嘍摟樓瘺簍螻鏤髏
+  lu 芦卢颅庐炉掳卤虏鲁麓碌露路赂鹿潞禄录陆戮驴吕铝侣旅履屡缕虑氯律率
+  lu 滤绿呂侶陸鹵僇祿虜賂屢滷綠膂慮鋁閭魯擄盧穋錄縷褸嚕濾廬櫚櫓瀘爐臚
+  lu 蘆鑪鷺顱驢鱸
+  luan 峦挛孪滦卵乱亂孿巒攣灤鑾鸞
+  lue 掠略
+  lun 抡轮伦仑沦纶论侖倫崙掄淪綸論輪
+  luo 萝螺罗逻锣箩骡裸落洛骆络珞絡詻漯犖雒駱羅鏍儸騾囉玀蘿邏籮鑼
+  ma 妈麻玛码蚂马骂嘛吗馬嗎媽痲痳瑪碼罵螞蟆
+  mai 埋买麦卖迈脉脈麥買賣邁霾
+  man 瞒馒蛮满蔓曼慢漫谩屘幔滿瞞縵鏝饅鰻蠻
+  mang 芒茫盲氓忙莽杗蟒
+  mao 猫茅锚毛矛铆卯茂冒帽貌贸泖耄茆貿瑁鉚髦犛貓懋錨
+  me 么
+  mei 玫枚梅酶霉煤没眉媒镁每美昧寐妹媚沒沬袂莓湄楣魅鎂黴
+  men 门闷们門們捫悶燜懣
+  meng 萌蒙檬盟锰猛梦孟虻夢艋蜢甍錳濛朦懵矇
+  mi 眯醚靡糜迷谜弥米秘觅泌蜜密幂糸汨羋咪弭敉覓瞇冪彌謎謐麋瀰
+  mian 棉眠绵冕免勉娩缅面沔偭湎綿緬澠靦麵
+  miao 苗描瞄藐秒渺庙妙杪眇廟緲邈
+  mie 蔑灭咩滅篾
+  min 民抿皿敏悯闽岷泯玟湣閔愍閩憫
+  ming 明螟鸣铭名命冥茗酩暝銘鳴瞑
+  miu 谬謬
+  mo 貉摸摹蘑模膜磨摩魔抹末莫墨默沫漠寞陌歿茉秣貊麼嬤糢謨驀
+  mou 谋某眸謀繆
+  mu 牟拇牡亩姆母墓暮幕募慕木目睦牧穆沐苜畝
+  na 拿哪呐钠那娜纳吶納捺鈉
+  nai 氖乃奶耐奈妳迺
+  nan 南男难赧喃楠難
+  nang 囊曩
+  nao 挠脑恼闹淖呶惱瑙腦撓鬧蟯鐃
+  ne 呢訥
+  nei 馁内內餒
+  nen 嫩
+  neng 能
+  ng 嗯
+  ni 妮霓倪泥尼拟你匿腻逆溺怩旎睨暱膩擬
+  nian 蔫拈年碾撵捻念粘辗廿涊唸撚輦黏攆
+  niang 娘酿孃釀
+  niao 鸟尿鳥裊嬝
+  nie 捏聂孽啮镊镍涅臬聶鎳囁齧躡鑷
+  nin 您
+  ning 柠狞凝宁拧泞佞寧嚀擰濘獰檸
+  niu 牛扭钮纽妞忸紐鈕
+  nong 脓浓农弄農儂噥濃膿穠
+  nou 耨
+  nu 奴努怒女弩駑
+  nuan 暖
+  nue 虐疟瘧
+  nuo 挪懦糯诺諾
+  o 哦噢
+  ou 欧鸥殴藕呕偶沤嘔歐毆耦甌鷗
+  pa 耙啪趴爬帕怕琶杷葩
+  pai 拍排牌徘湃派俳箄
+  pan 攀潘盘磐盼畔判叛槃盤蟠蹣
+  pang 乓庞旁耪胖彷徬滂螃龐
+  pao 抛咆刨炮袍跑泡庖拋皰砲匏
+  pei 呸胚培裴赔陪配佩沛珮賠轡
+  pen 喷盆噴
+  peng 砰抨烹澎彭蓬棚硼篷膨朋鹏捧碰踫鵬
+  pi 辟坯砒霹批披劈琵毗啤脾疲皮匹痞僻屁譬丕疋仳枇紕埤陴媲睥鈹癖闢鼙
+  pian 篇偏片骗胼翩駢騙
+  piao 飘漂瓢票剽嫖瞟縹飄驃
+  pie 撇瞥
+  pin 拼频贫品聘牝拚姘貧嬪蘋顰
+  ping 乒坪苹萍平凭瓶评屏枰娉評憑
+  po 坡泼颇婆破魄迫粕叵珀釙頗潑鄱醱
+  pou 剖裒
+  pu 脯扑铺仆莆葡菩蒲埔朴圃普浦谱曝瀑匍溥僕噗撲鋪樸璞濮譜蹼
+  qi 期欺栖戚妻七凄漆柒沏其棋奇歧畦崎脐齐旗祈祁骑起岂乞企启契砌器气迄
+  qi 弃汽泣讫圻岐杞祇氣耆訖豈悽啟棄淇淒棲琪琦萋祺綺齊慼槭憩磧錡蹊臍騎
+  qi 麒鰭
+  qia 掐恰洽
+  qian 牵扦钎铅千迁签仟谦乾黔钱钳前潜遣浅谴堑嵌欠歉阡倩虔淺牽鈐愆鉗鉛塹
+  qian 搴箝潛遷錢縴謙簽騫譴籤韆
+  qiang 枪呛腔羌墙蔷强抢戕強嗆搶槍彊檣牆繈薔鎗鏘
+  qiao 橇锹敲悄桥瞧乔侨巧鞘撬翘峭俏窍喬愀僑誚憔橋樵鍬竅翹譙蹺
+  qie 切茄且怯窃妾挈愜鍥竊
+  qin 钦侵亲秦琴勤芹擒禽寝沁欽覃寢嶔撳噙親
+  qing 青轻氢倾卿清擎晴氰情顷请庆氫頃傾蜻輕慶請磬檠罄鯖
+  qiong 琼穷穹窮瓊
+  qiu 秋丘邱球求囚酋泅梂毬蚯裘鞦鰍
+  qu 趋区蛆曲躯屈驱渠取娶龋趣去劬區蛐嶇璩趨瞿軀麴驅衢齲
+  quan 圈颧权醛泉全痊拳犬券劝佺畎荃詮蜷銓踡勸權
+  que 缺炔瘸却鹊榷确雀卻確闋闕鵲
+  qun 裙群
+  ran 然燃冉染苒髯
+  rang 瓤壤攘嚷让禳讓
+  rao 饶扰绕嬈橈擾繞饒
+  re 惹热熱
+  ren 壬仁人忍韧任认刃妊纫仞紉荏衽軔韌飪稔認
+  reng 扔仍
+  ri 日
+  rong 戎茸蓉荣融熔溶容绒冗絨榕榮嶸鎔
+  rou 揉柔肉蹂鞣
+  ru 茹蠕儒孺如辱乳汝入褥嚅濡
+  ruan 软阮軟
+  rui 蕊瑞锐睿銳
+  run 闰润閏潤
+  ruo 若弱偌篛鶸
+  sa 撒洒萨卅颯薩灑
+  sai 腮鳃塞赛賽鰓
+  san 三叁伞散傘糝
+  sang 桑嗓丧喪
+  sao 搔骚扫嫂掃繅騷
+  se 瑟色涩嗇澀穡
+  sen 森
+  seng 僧
+  sha 莎砂杀沙纱傻啥煞厦紗殺廈裟霎鯊
+  shai 筛晒篩曬
+  shan 珊苫杉山删煽衫闪陕擅赡膳善汕扇缮栅刪姍疝芟柵舢訕閃陝跚潸禪縿繕羶
+  shan 贍鱔
+  shang 墒伤商赏晌上尚裳傷殤賞觴
+  shao 梢捎稍烧芍勺韶少哨邵绍杓紹燒
+  she 奢赊蛇舌舍赦摄射慑涉社设捨設賒懾攝麝
+  shen 砷申呻伸身深娠绅神沈审婶甚肾慎渗什哂紳脤莘腎蜃滲審嬸瀋
+  sheng 声生甥牲升绳省盛剩胜圣昇陞笙勝聖聲賸繩
+  shi 师失狮施湿诗尸虱十石拾时食蚀实识史矢使屎驶始式示士世柿事拭誓逝势
+  shi 是嗜噬适仕侍释饰氏市恃室视试豕屍師時舐視勢塒弒溼獅筮試詩軾飾實蝕
+  shi 奭蝨適駛濕螫識釋
+  shou 收手首守寿授售受瘦兽狩壽綬獸
+  shu 蔬枢梳殊抒输叔舒淑疏书赎孰熟薯暑曙署蜀黍鼠属术述树束戍竖墅庶数漱
+  shu 恕書倏術菽塾數樞豎樹輸橾藷屬贖
+  shua 刷耍
+  shuai 摔衰甩帅帥蟀
+  shuan 栓拴閂涮
+  shuang 霜双爽塽雙孀
+  shui 谁水睡税稅誰
+  shun 吮瞬顺舜順
+  shuo 说硕朔烁妁碩說爍鑠
+  si 斯撕嘶思私司丝死肆寺嗣四伺似饲巳兕姒泗祀俟耜絲飼廝駟鷥
+  song 松耸怂颂送宋讼诵忪悚崧淞訟嵩頌誦慫聳鬆
+  sou 搜艘擞嗽叟嗾蒐擻餿藪颼
+  su 苏酥俗素速粟僳塑溯宿诉肃夙甦肅訴嗉穌簌蘇囌
+  suan 酸蒜算痠
+  sui 虽隋随绥髓碎岁穗遂隧祟歲睢綏誶隨燧雖邃
+  sun 孙损笋孫筍飧損榫蓀
+  suo 蓑梭唆缩琐索锁所娑嗦瑣簑縮鎖
+  ta 塌他它她塔獭挞蹋踏牠榻遢遝撻獺躂
+  tai 胎苔抬台泰酞太态汰跆態臺颱檯薹
+  tan 弹坍摊贪瘫滩坛檀痰潭谭谈坦毯袒碳探叹炭貪嘆歎談壇曇罈譚攤灘癱
+  tang 汤塘搪堂棠膛唐糖倘躺淌趟烫帑湯瑭燙螳醣鏜儻
+  tao 掏涛滔绦萄桃逃淘陶讨套洮討啕絛濤檮韜饕
+  te 特慝
+  teng 藤腾疼誊滕謄騰籐
+  ti 梯剔踢锑提题蹄啼体替嚏惕涕剃屉悌屜逖緹銻題體
+  tian 天添填田甜恬舔腆忝畋闐
+  tiao 调挑条迢眺跳佻條窕覜蜩鯈
+  tie 贴铁帖貼餮鐵
+  ting 厅听烃汀廷停亭庭挺艇梃婷蜓霆聽廳
+  tong 通桐酮瞳同铜彤童桶捅筒统痛統僮慟銅潼
+  tou 偷投头透骰頭
+  tu 凸秃突图徒途涂屠土吐兔禿荼菟塗圖酴
+  tuan 湍团團糰
+  tui 推颓腿蜕褪退蛻頹
+  tun 囤吞屯臀豚飩
+  tuo 拖托脱鸵陀驮驼椭妥拓唾佗沱柝託脫跎馱駝橢鴕
+  wa 挖哇蛙洼娃瓦袜媧窪襪
+  wai 歪外崴
+  wan 豌弯湾玩顽丸烷完碗挽晚皖惋宛婉万腕汍剜萬頑綰蜿輓彎灣
+  wang 汪王亡枉网往旺望忘妄尢罔惘網輞魍
+  wei 威巍微危韦违桅围唯惟为潍维苇萎委伟伪尾纬未蔚味畏胃喂魏位渭谓尉慰
+  wei 卫洧為韋娓偽偉偎帷圍幃猥逶煨痿葦違維緯衛諉謂濰薇褽闈餵鮪
+  wen 瘟温蚊文闻纹吻稳紊问刎抆汶紋問雯塭溫聞穩
+  weng 嗡翁瓮蓊甕
+  wo 挝蜗涡窝我斡卧握沃臥倭喔渥渦萵窩蝸齷
+  wu 巫呜钨乌污诬屋无芜梧吾吴毋武五捂午舞伍侮坞戊雾晤物勿务悟误兀圬汙
+  wu 吳於唔烏務無嗚塢蜈寤誣誤嫵憮蕪鎢霧騖鵡鼯
+  xi 昔熙析西硒矽晰嘻吸锡牺稀息希悉膝夕惜熄烯溪汐犀檄袭席习媳喜洗系隙
+  xi 戏细兮係唏奚徙晞淅細習翕僖蓆蜥嬉潟歙熹羲錫戲禧蟋谿璽繫譆曦犧襲
+  xia 瞎虾匣霞辖暇峡侠狭下夏吓呷狎俠柙峽狹煆瑕遐蝦轄黠
+  xian 铣掀锨先仙鲜纤咸贤衔舷闲涎弦嫌显险现献县腺馅羡宪陷限线秈祆峴啣現
+  xian 絃莧閑閒羨蜆僩銜銑嫻線賢憲暹縣險餡鮮獻霰鹹蘚纖顯
+  xiang 相厢镶香箱襄湘乡翔祥详想响享项巷橡像向象庠廂鄉項詳餉嚮瓖響饗鑲
+  xiao 嚣萧硝霄削哮销消宵淆晓小孝校肖啸笑效崤梟逍傚詨嘯銷曉蕭篠簫瀟囂驍
+  xie 楔些歇蝎鞋协挟携邪斜胁谐写械卸蟹懈泄泻谢屑協洩挾脅偕紲榭勰寫諧燮
+  xie 褻謝邂擷瀉蠍攜
+  xin 薪芯锌欣辛新忻心信衅昕訢鋅馨釁
+  xing 星腥猩惺兴刑型形邢行醒幸杏性姓倖陘悻硎興
+  xiong 兄凶胸匈汹雄熊兇洶
+  xiu 休修羞朽嗅锈秀袖绣岫咻脩溴繡鏽
+  xu 墟戌需虚嘘须徐许蓄酗叙旭序恤絮婿绪续吁圩卹洫胥栩訏敘勗許虛須煦頊
+  xu 緒噓蓿燸續鬚
+  xuan 轩喧宣悬旋玄选癣眩绚炫晅軒渲絢暄煖萱鉉漩諼選璿懸癬
+  xue 靴薛学穴雪血學
+  xun 勋熏循旬询寻驯巡殉汛训讯逊迅徇洵荀訊訓勛尋巽詢馴遜潯潠勳蕈壎燻薰
+  xun 醺
+  ya 压押鸦鸭呀丫芽牙蚜崖衙涯雅哑亚讶轧亞軋啞琊訝氬鴉鴨壓
+  yan 焉咽阉烟淹盐严研蜒岩延言颜阎炎沿奄掩眼衍演艳堰燕厌砚雁唁彦焰宴谚
+  yan 验妍兗彥晏胭偃湮硯腌菸郾煙厭嫣筵醃燄諺閻檐縯顏嚥簷嚴儼贗鼴巖饜驗
+  yan 艷魘鹽釅豔
+  yang 殃央鸯秧杨扬佯疡羊洋阳氧仰痒养样漾怏泱徉恙烊揚陽暘楊煬瘍鞅樣養鴦
+  yang 鍚颺癢
+  yao 邀腰妖瑶摇尧遥窑谣姚咬舀药要耀钥夭爻吆杳肴窈堯搖榣瑤遙窯餚謠曜藥
+  yao 鷂
+  ye 椰噎耶爷野冶也页掖业叶曳腋夜液頁暍業爺葉曄謁鄴靨
+  yi 一壹医揖铱依伊衣颐夷遗移仪胰疑沂宜姨彝椅蚁倚已乙矣以艺抑易邑屹亿
+  yi 役臆逸肄疫亦裔意毅忆义益溢诣议谊译异翼翌绎弋刈圯佚迆佾怡咦咿奕帟
+  yi 弈羿迤栘浥偯異痍貽軼睪義詣飴旖漪蜴億儀誼劓噫憶縊遺頤翳醫鎰繹藝蟻
+  yi 議譯囈懿驛
+  yin 茵荫因殷音阴姻吟银淫寅饮尹引隐印垠胤氤蚓陰飲夤慇鄞銀蔭隱霪齦癮
+  ying 英樱婴鹰应缨莹萤营荧蝇迎赢盈影颖硬映郢塋楹瑛熒瑩嬴穎縈螢嬰應營膺
+  ying 瀛蠅嚶罌贏櫻瓔鶯纓鷹鸚
+  yo 哟唷喲
+  yong 拥佣臃痈庸雍踊蛹咏泳涌永恿勇用甬俑邕湧詠傭慵鄘壅擁踴
+  you 幽优悠忧尤由邮铀犹油游酉有友右佑釉诱又幼攸侑囿宥柚疣祐莠猶郵猷遊
+  you 鈾誘憂牖魷優黝鼬
+  yu 迂淤于盂榆虞愚舆余俞逾鱼愉渝渔隅予娱雨与屿禹宇语羽玉域芋郁遇喻峪
+  yu 御愈欲狱育誉浴寓裕预豫驭聿妤臾昱禺竽紆圄堉娛圉庾敔雩魚腴萸馭毓煜
+  yu 瑜瘀預嫗漁獄瘉與語慾蝓褕諛餘澦禦覦諭嶼燠輿歟癒譽齬鬱籲
+  yuan 鸳渊冤元垣袁原援辕园员圆猿源缘远苑愿怨院沅爰員淵媛湲園圓遠鳶緣鴛
+  yuan 轅願騵
+  yue 曰约越跃岳粤月悦阅刖玥約悅軏粵閱嶽躍籥鑰
+  yun 耘云郧匀陨允运蕴酝晕韵孕勻昀芸紜雲慍暈筠運隕氳熨醞韻蘊
+  za 匝砸杂咋雜臢
+  zai 栽哉灾宰载再在仔災載
+  zan 咱攒暂赞偺暫簪贊鏨瓚讚
+  zang 赃脏葬奘臧贓臟髒
+  zao 遭糟凿藻枣早澡蚤躁噪造皂灶燥棗譟鑿
+  ze 责择则泽仄則笮責嘖擇澤
+  zei 贼賊
+  zen 怎
+  zeng 增憎赠繒贈
+  zha 扎喳渣札铡闸眨榨乍炸诈柞吒砟紮蚱詐搾閘
+  zhai 翟摘斋宅窄债寨債齋
+  zhan 瞻毡詹沾盏斩崭展蘸栈占战站湛绽佔斬棧盞嶄綻戰霑氈輾譫
+  zhang 樟章彰漳张掌涨杖丈帐账仗胀瘴障帳張脹幛漲獐璋賬蟑
+  zhao 招昭找沼赵照罩兆肇召炤釗棹詔趙櫂
+  zhe 遮折哲蛰辙者锗蔗这浙着這蜇摺輒赭褶謫轍鷓
+  zhen 珍斟真甄砧臻贞针侦枕疹诊震振镇阵帧圳甽貞朕針陣偵幀診楨榛禎賑箴鴆
+  zhen 縝鎮
+  zheng 蒸挣睁征狰争怔整拯正政症郑证爭崢掙猙証睜箏諍鄭錚證癥
+  zhi 芝枝支吱蜘知肢脂汁之织职直植殖执值侄址指止趾只旨纸志挚掷至致置帜
+  zhi 峙制智秩稚质炙痔滞治窒卮泜芷咫姪祉胝祗紙衹隻執梔痣蛭輊雉摭滯製誌
+  zhi 幟徵摯緻質櫛擲織職躑躓
+  zhong 中盅忠钟衷终种肿重仲众冢眾終塚腫種踵鍾鐘
+  zhou 舟周州洲诌粥轴肘帚咒皱宙昼骤妯冑紂胄啁晝軸週皺縐籀驟
+  zhu 珠株蛛朱猪诸诛逐竹烛煮拄瞩嘱主著柱助蛀贮铸筑住注祝驻朮佇侏杼竺苧
+  zhu 茱渚硃註貯誅跦箸銖諸豬駐築燭躅鑄囑矚
+  zhua 抓爪撾
+  zhuai 拽
+  zhuan 专砖转撰赚篆耑專僎磚賺轉顓囀
+  zhuang 幢桩庄装妆撞壮状壯妝狀莊裝樁
+  zhui 椎锥追赘坠缀隹惴綴墜錐贅
+  zhun 谆准肫準諄
+  zhuo 捉拙卓桌琢茁酌啄灼浊斫涿濁擢濯鐲
+  zi 兹咨资姿滋淄孜紫籽滓子自渍字姊恣玆茲梓孳訾資貲漬緇輜諮錙髭齜
+  zong 鬃棕踪宗综总纵傯粽綜總縱蹤
+  zou 邹走奏揍陬鄒鄹
+  zu 租足卒族祖诅阻组俎組詛鏃
+  zuan 钻纂鑽
+  zui 咀嘴醉最罪蕞
+  zun 尊遵撙樽
+  zuo 昨左佐做作坐座祚
+`;
+
+export const PINYIN = new Map();
+for (const line of READINGS.trim().split("\n")) {
+  const [syllable, characters] = line.trim().split(" ");
+  for (const character of characters) {
+    PINYIN.set(character, syllable);
+  }
+}
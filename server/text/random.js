@@ -0,0 +1,71 @@
+/**
+ * Seeded randomness
+ *
+ * Tools that randomize output take an optional seed so results can be
+ * reproduced in tests and follow-up turns. Seeds (integers or strings) are
+ * hashed to 32 bits and drive a mulberry32 generator.
+ */
+
+import { CHUNK_SIZE } from "./chunks.js";
+
+/**
+ * JSON schema for a tool's `seed` argument
+ */
+export const seedSchema = {
+  type: ["integer", "string"],
+  description: "Seed for the random number generator; the same seed and input always give the same result. Random when omitted",
+};
+
+/**
+ * Validate a `seed` argument, picking a random one when none is given
+ */
+export function resolveSeed(seed) {
+  if (seed === undefined || seed === null) {
+    return Math.floor(Math.random() * 2 ** 32);
+  }
+  if (typeof seed === "string" || Number.isSafeInteger(seed)) {
+    return seed;
+  }
+  throw new Error(`Invalid seed: ${seed}. Expected an integer or a string`);
+}
+
+// FNV-1a hash of the seed's string form
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic generator returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle of an array in place
+ */
+export function shuffleArray(items, random, progress) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+
+    // Report progress once per chunk's worth of swaps
+    const swapped = items.length - i;
+    if (swapped % CHUNK_SIZE === 0) {
+      progress?.(swapped, items.length);
+    }
+  }
+  return items;
+}
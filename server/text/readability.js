@@ -0,0 +1,86 @@
+/**
+ * Readability
+ *
+ * Syllable estimates and the classic readability formulas. The formulas
+ * were calibrated on English prose, so scores for other languages are only
+ * rough indications.
+ */
+
+// Words with irregular syllable counts the heuristic gets wrong
+const SYLLABLE_EXCEPTIONS = new Map([
+  ["area", 3],
+  ["being", 2],
+  ["business", 2],
+  ["create", 2],
+  ["every", 3],
+  ["idea", 3],
+  ["people", 2],
+  ["poem", 2],
+  ["quiet", 2],
+  ["science", 2],
+  ["video", 3],
+]);
+
+/**
+ * Estimate the syllables in an English word by counting vowel groups
+ */
+export function countSyllables(word) {
+  const letters = word.toLowerCase().normalize("NFD").replace(/[^a-z]/g, "");
+  if (letters.length === 0) {
+    return 0;
+  }
+  if (SYLLABLE_EXCEPTIONS.has(letters)) {
+    return SYLLABLE_EXCEPTIONS.get(letters);
+  }
+  if (letters.length <= 3) {
+    return 1;
+  }
+
+  const trimmed = letters
+    // Silent endings: "made", "baked", "makes" (but not "table", "wanted")
+    .replace(/(?:[^laeiouy]es|[^tdaeiouy]ed|[^laeiouy]e)$/, (ending) => ending[0])
+    .replace(/^y/, "");
+  const groups = trimmed.match(/[aeiouy]+/g)?.length ?? 0;
+  return Math.max(1, groups);
+}
+
+/**
+ * Round to two decimal places
+ */
+export function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Readability scores from document counts, or null when there are no words
+ */
+export function readabilityScores({ words, sentences, syllables, letters, polysyllables }) {
+  if (words === 0) {
+    return null;
+  }
+  const wordsPerSentence = words / Math.max(1, sentences);
+  const syllablesPerWord = syllables / words;
+
+  return {
+    flesch_reading_ease: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    flesch_kincaid_grade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+    gunning_fog: round(0.4 * (wordsPerSentence + (100 * polysyllables) / words)),
+    smog: round(1.043 * Math.sqrt((polysyllables * 30) / Math.max(1, sentences)) + 3.1291),
+    coleman_liau: round(
+      0.0588 * ((letters / words) * 100) - 0.296 * ((Math.max(1, sentences) / words) * 100) - 15.8
+    ),
+  };
+}
+
+/**
+ * Plain-language band for a Flesch Reading Ease score
+ */
+export function fleschDescription(score) {
+  if (score >= 90) return "very easy";
+  if (score >= 80) return "easy";
+  if (score >= 70) return "fairly easy";
+  if (score >= 60) return "standard";
+  if (score >= 50) return "fairly difficult";
+  if (score >= 30) return "difficult";
+  return "very confusing";
+}
@@ -0,0 +1,114 @@
+/**
+ * Sandboxed regular expressions
+ *
+ * Patterns come from the model, so they run in a separate V8 context whose
+ * execution is interrupted after REGEX_TIMEOUT_MS; a pattern that backtracks
+ * catastrophically fails with an error instead of hanging the worker.
+ */
+
+import vm from "node:vm";
+
+export const REGEX_FLAGS = "dgimsuvy";
+
+/**
+ * Check a flags string and compile the pattern once, so syntax errors are
+ * reported without entering the sandbox
+ */
+export function validateRegex(pattern, flags) {
+  if (typeof pattern !== "string") {
+    throw new Error("Invalid pattern: expected a string");
+  }
+  if (
+    typeof flags !== "string" ||
+    ![...flags].every((flag) => REGEX_FLAGS.includes(flag)) ||
+    new Set(flags).size !== flags.length
+  ) {
+    throw new Error(`Invalid flags: ${flags}. Expected distinct letters from: ${REGEX_FLAGS}`);
+  }
+  try {
+    new RegExp(pattern, flags);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Time limit for each evaluation (catastrophic backtracking is interrupted,
+// not just raced)
+export const REGEX_TIMEOUT_MS = Number(process.env.REGEX_TIMEOUT_MS) || 1000;
+
+// Runs in a fresh context per call with only the inputs in scope; results
+// leave as JSON so no objects from the context escape
+const EVALUATE = new vm.Script(`(() => {
+  const regex = new RegExp(pattern, flags);
+  switch (mode) {
+    case "test": {
+      const match = regex.exec(text);
+      return JSON.stringify({ matched: match !== null, index: match ? match.index : null });
+    }
+    case "match_all": {
+      const matches = [];
+      let truncated = false;
+      for (const match of text.matchAll(regex)) {
+        if (matches.length === limit) {
+          truncated = true;
+          break;
+        }
+        matches.push({
+          match: match[0],
+          index: match.index,
+          end: match.index + match[0].length,
+          groups: match.slice(1).map((value, i) => ({
+            value: value === undefined ? null : value,
+            start: match.indices[i + 1] ? match.indices[i + 1][0] : null,
+            end: match.indices[i + 1] ? match.indices[i + 1][1] : null,
+          })),
+          named_groups: match.groups ? { ...match.groups } : null,
+        });
+      }
+      return JSON.stringify({ matches, truncated });
+    }
+    case "replace": {
+      let replacements = 0;
+      const counter = new RegExp(pattern, flags);
+      if (counter.global) {
+        for (const _ of text.matchAll(counter)) replacements++;
+      } else {
+        replacements = counter.test(text) ? 1 : 0;
+      }
+      return JSON.stringify({ text: text.replace(regex, replacement), replacements });
+    }
+    case "split": {
+      const parts = text.split(regex);
+      return JSON.stringify({ parts: parts.slice(0, limit), truncated: parts.length > limit, total: parts.length });
+    }
+    case "filter": {
+      const kept = [];
+      lines.forEach((line, i) => {
+        regex.lastIndex = 0;
+        if (regex.test(line) !== invert) kept.push(i);
+      });
+      return JSON.stringify({ kept });
+    }
+  }
+})()`);
+
+/**
+ * Evaluate a regex operation in an isolated context with a time limit.
+ * `inputs` holds the `mode` and the variables it uses: `pattern`, `flags`
+ * and `text` (test, match_all, replace, split), `limit` (match_all, split),
+ * `replacement` (replace), or `lines` and `invert` (filter, which returns
+ * the indexes of the lines kept).
+ */
+export function evaluateRegex(inputs) {
+  const context = vm.createContext(inputs, { codeGeneration: { strings: false, wasm: false } });
+  try {
+    return JSON.parse(EVALUATE.runInContext(context, { timeout: REGEX_TIMEOUT_MS }));
+  } catch (error) {
+    if (error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+      throw new Error(
+        `Regex evaluation exceeded ${REGEX_TIMEOUT_MS}ms and was stopped; the pattern likely backtracks catastrophically (e.g. nested quantifiers like (a+)+)`
+      );
+    }
+    throw new Error(error.message);
+  }
+}
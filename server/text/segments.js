@@ -0,0 +1,111 @@
+/**
+ * Windowed Intl.Segmenter
+ *
+ * V8 copies the whole input string for every segment Intl.Segmenter
+ * yields, so segmenting a 1MB input takes minutes and gigabytes. Long text
+ * is segmented in short windows cut at positions that are a boundary for
+ * the granularity anyway.
+ */
+
+// Characters per segmentation window
+const SEGMENT_WINDOW = 256;
+
+const segmenters = new Map();
+
+/**
+ * Cached Intl.Segmenter for a locale and granularity
+ */
+export function getSegmenter(locale, granularity) {
+  const key = `${locale ?? ""}:${granularity}`;
+  let segmenter = segmenters.get(key);
+  if (!segmenter) {
+    segmenter = new Intl.Segmenter(locale, { granularity });
+    segmenters.set(key, segmenter);
+  }
+  return segmenter;
+}
+
+/**
+ * Largest grapheme boundary at or before `index`
+ */
+export function graphemeBoundaryBefore(text, index) {
+  // Grapheme clusters are short; a small window around the index suffices
+  const windowStart = Math.max(0, index - 64);
+  let boundary = windowStart;
+  for (const { index: segmentIndex } of getSegmenter(undefined, "grapheme").segment(text.slice(windowStart, index + 64))) {
+    const absolute = windowStart + segmentIndex;
+    if (absolute > index) {
+      break;
+    }
+    boundary = absolute;
+  }
+  return boundary;
+}
+
+// After whitespace (other than CR, which pairs with LF) or sentence-ending
+// CJK punctuation, and before anything that could attach to it, words and
+// graphemes always break
+function isWordBoundary(text, index) {
+  return /[ \t\n　。！？，、；：]/.test(text[index - 1]) && !/[\s\p{M}\p{Cf}]/u.test(text[index]);
+}
+
+// Line breaks always end a sentence, as does terminal punctuation followed
+// by spaces and a capital letter or, for CJK punctuation, anything
+function isSentenceBoundary(text, index) {
+  if (text[index - 1] === "\n") {
+    return true;
+  }
+  const before = text.slice(Math.max(0, index - 8), index);
+  return (
+    (/\p{Lu}/u.test(text[index]) && /[.!?]["'”’)\]]*[ \t]+$/.test(before)) ||
+    (/[。！？]$/.test(before) && !/[\s\p{M}\p{Cf}\p{Pe}\p{Pf}]/u.test(text[index]))
+  );
+}
+
+// Window end for word and sentence segmentation: the first safe boundary
+// past the window size, however far away (splitting a word or sentence
+// would change the result)
+function boundaryWindowEnd(isBoundary) {
+  return (text, start) => {
+    for (let i = start + SEGMENT_WINDOW; i < text.length; i++) {
+      if (isBoundary(text, i)) {
+        return i;
+      }
+    }
+    return text.length;
+  };
+}
+
+// Window end for grapheme segmentation: any grapheme boundary will do
+function graphemeWindowEnd(text, start) {
+  const end = start + SEGMENT_WINDOW;
+  if (end >= text.length) {
+    return text.length;
+  }
+  const boundary = graphemeBoundaryBefore(text, end);
+  return boundary > start ? boundary : end;
+}
+
+const windowEnds = {
+  grapheme: graphemeWindowEnd,
+  word: boundaryWindowEnd(isWordBoundary),
+  sentence: boundaryWindowEnd(isSentenceBoundary),
+};
+
+/**
+ * Segment text like Intl.Segmenter#segment, yielding
+ * `{ segment, index, isWordLike }` with indexes into the whole text.
+ * Supports grapheme, word and sentence granularity.
+ */
+export function* segmentText(text, granularity, locale) {
+  const segmenter = getSegmenter(locale, granularity);
+  const windowEnd = windowEnds[granularity];
+
+  for (let start = 0; start < text.length; ) {
+    const end = windowEnd(text, start);
+    for (const { segment, index, isWordLike } of segmenter.segment(text.slice(start, end))) {
+      yield { segment, index: start + index, isWordLike };
+    }
+    start = end;
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * String similarity
+ *
+ * Edit distances and similarity scores over arrays of characters (split by
+ * the caller, usually into graphemes). Similarities are in [0, 1], where 1
+ * means identical.
+ */
+
+/**
+ * Levenshtein distance: insertions, deletions and substitutions
+ */
+export function levenshtein(a, b) {
+  if (a.length < b.length) {
+    [a, b] = [b, a];
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  let current = new Array(b.length + 1);
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous[b.length];
+}
+
+/**
+ * Damerau-Levenshtein distance: Levenshtein plus transpositions of
+ * adjacent characters, which may be edited again afterwards
+ */
+export function damerauLevenshtein(a, b) {
+  const infinity = a.length + b.length;
+  const width = b.length + 2;
+  // A typed table takes 2 or 4 bytes a cell rather than a boxed value;
+  // every entry is at most `infinity`
+  const Table = infinity <= 0xffff ? Uint16Array : Int32Array;
+  const table = new Table((a.length + 2) * width);
+  const at = (i, j) => i * width + j;
+
+  table[at(0, 0)] = infinity;
+  for (let i = 0; i <= a.length; i++) {
+    table[at(i + 1, 0)] = infinity;
+    table[at(i + 1, 1)] = i;
+  }
+  for (let j = 0; j <= b.length; j++) {
+    table[at(0, j + 1)] = infinity;
+    table[at(1, j + 1)] = j;
+  }
+
+  // Last row in which each character of a was seen
+  const lastRow = new Map();
+  for (let i = 1; i <= a.length; i++) {
+    let lastMatchColumn = 0;
+    for (let j = 1; j <= b.length; j++) {
+      const k = lastRow.get(b[j - 1]) ?? 0;
+      const l = lastMatchColumn;
+      let cost = 1;
+      if (a[i - 1] === b[j - 1]) {
+        cost = 0;
+        lastMatchColumn = j;
+      }
+      table[at(i + 1, j + 1)] = Math.min(
+        table[at(i, j)] + cost,
+        table[at(i + 1, j)] + 1,
+        table[at(i, j + 1)] + 1,
+        table[at(k, l)] + (i - k - 1) + 1 + (j - l - 1)
+      );
+    }
+    lastRow.set(a[i - 1], i);
+  }
+  return table[at(a.length + 1, b.length + 1)];
+}
+
+/**
+ * Jaro similarity
+ */
+export function jaro(a, b) {
+  if (a.length === 0 && b.length === 0) {
+    return 1;
+  }
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Uint8Array(a.length);
+  const bMatched = new Uint8Array(b.length);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(b.length, i + window + 1);
+    for (let j = Math.max(0, i - window); j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = 1;
+        bMatched[j] = 1;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (aMatched[i]) {
+      while (!bMatched[j]) j++;
+      if (a[i] !== b[j]) transpositions++;
+      j++;
+    }
+  }
+  return (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+}
+
+/**
+ * Jaro-Winkler similarity: Jaro boosted for a common prefix of up to four characters
+ */
+export function jaroWinkler(a, b, prefixScale = 0.1) {
+  const similarity = jaro(a, b);
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  return similarity + prefix * prefixScale * (1 - similarity);
+}
+
+/**
+ * Length of the longest common subsequence
+ */
+export function longestCommonSubsequence(a, b) {
+  if (a.length < b.length) {
+    [a, b] = [b, a];
+  }
+  let previous = new Array(b.length + 1).fill(0);
+  let current = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], current[j - 1]);
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous[b.length];
+}
+
+// Counts of each n-gram; strings shorter than n count as one gram
+function ngrams(chars, n) {
+  const counts = new Map();
+  const last = Math.max(1, chars.length - n + 1);
+  for (let i = 0; i < last && chars.length > 0; i++) {
+    const gram = chars.slice(i, i + n).join("");
+    counts.set(gram, (counts.get(gram) ?? 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Cosine similarity of character n-gram count vectors
+ */
+export function cosineNgrams(a, b, n = 2) {
+  if (a.length === 0 && b.length === 0) {
+    return 1;
+  }
+  const aGrams = ngrams(a, n);
+  const bGrams = ngrams(b, n);
+  let dot = 0;
+  for (const [gram, count] of aGrams) {
+    dot += count * (bGrams.get(gram) ?? 0);
+  }
+  const norm = (grams) => Math.sqrt([...grams.values()].reduce((sum, count) => sum + count * count, 0));
+  const denominator = norm(aGrams) * norm(bGrams);
+  return denominator === 0 ? 0 : dot / denominator;
+}
+
+/**
+ * Similarity from an edit distance, relative to the longer string
+ */
+export function distanceSimilarity(distance, a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - distance / longest;
+}
@@ -0,0 +1,60 @@
+/**
+ * Slugs
+ *
+ * URL, filename and identifier slugs: transliterated to ASCII, with every
+ * run of other characters turned into a single separator.
+ */
+
+import { transliterate } from "./transliterate.js";
+
+export const DEFAULT_SEPARATOR = "-";
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Apply caller-supplied replacements, preferring the longest match
+function replaceAll(text, replacements) {
+  const keys = Object.keys(replacements).sort((a, b) => b.length - a.length);
+  if (keys.length === 0) {
+    return text;
+  }
+  const pattern = new RegExp(keys.map(escapeRegExp).join("|"), "g");
+  return text.replace(pattern, (match) => replacements[match]);
+}
+
+// Cut at the last separator that fits, or mid-word if the first word is too long
+function truncate(slug, separator, maxLength) {
+  if (slug.length <= maxLength) {
+    return slug;
+  }
+  const boundary = slug.lastIndexOf(separator, maxLength);
+  return boundary > 0 ? slug.slice(0, boundary) : slug.slice(0, maxLength);
+}
+
+/**
+ * Build a slug. Returns it with whether it was truncated and the characters
+ * that had no transliteration (and were dropped).
+ */
+export function slugify(
+  text,
+  { separator = DEFAULT_SEPARATOR, maxLength, lowercase = true, replacements = {}, language } = {}
+) {
+  const { text: ascii, unmapped } = transliterate(replaceAll(text.normalize("NFC"), replacements), language);
+
+  let slug = ascii
+    // Apostrophes join a word (don't, l'eau) rather than splitting it
+    .replace(/(?<=[A-Za-z0-9])['’](?=[A-Za-z0-9])/g, "")
+    .split(/[^A-Za-z0-9]+/)
+    .filter((word) => word !== "")
+    .join(separator);
+  if (lowercase) {
+    slug = slug.toLowerCase();
+  }
+
+  const truncated = maxLength !== undefined && slug.length > maxLength;
+  if (truncated) {
+    slug = truncate(slug, separator, maxLength);
+  }
+  return { slug, truncated, unmapped };
+}
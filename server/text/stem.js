@@ -0,0 +1,129 @@
+/**
+ * Stemming
+ *
+ * The Porter (1980) stemmer for English, so that "connect", "connected" and
+ * "connection" count as one term. Stems are not always real words
+ * ("happi"), so tools report the most frequent surface form instead.
+ */
+
+export const STEM_LANGUAGES = ["en"];
+
+const VOWEL = "[aeiou]";
+const CONSONANT = "[^aeiou]";
+
+// Letters are vowels or consonants; "y" after a consonant acts as a vowel
+function measure(stem) {
+  const pattern = stem.replace(/[^aeiouy]/g, "c").replace(/[aeiou]/g, "v").replace(/(?<=c)y/g, "v").replace(/y/g, "c");
+  return (pattern.replace(/^c+/, "").match(/v+c+/g) ?? []).length;
+}
+
+function hasVowel(stem) {
+  return new RegExp(`${VOWEL}|(?<=${CONSONANT})y`).test(stem);
+}
+
+function endsDoubleConsonant(stem) {
+  return /([^aeiouy])\1$/.test(stem) || /(yy)$/.test(stem);
+}
+
+// consonant-vowel-consonant ending, where the last consonant is not w, x or y
+function endsCvc(stem) {
+  return /[^aeiou][aeiouy][^aeiouwxy]$/.test(stem) && !/^[aeiou]?y$/.test(stem.slice(-2));
+}
+
+// Replace the first matching suffix when the remaining stem satisfies `condition`
+function replaceSuffix(word, rules, condition) {
+  for (const [suffix, replacement] of rules) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return condition(stem) ? stem + replacement : word;
+    }
+  }
+  return word;
+}
+
+const STEP_2 = [
+  ["ational", "ate"], ["tional", "tion"], ["enci", "ence"], ["anci", "ance"], ["izer", "ize"],
+  ["bli", "ble"], ["alli", "al"], ["entli", "ent"], ["eli", "e"], ["ousli", "ous"],
+  ["ization", "ize"], ["ation", "ate"], ["ator", "ate"], ["alism", "al"], ["iveness", "ive"],
+  ["fulness", "ful"], ["ousness", "ous"], ["aliti", "al"], ["iviti", "ive"], ["biliti", "ble"],
+  ["logi", "log"],
+].sort(([a], [b]) => b.length - a.length);
+
+const STEP_3 = [
+  ["icate", "ic"], ["ative", ""], ["alize", "al"], ["iciti", "ic"], ["ical", "ic"], ["ful", ""], ["ness", ""],
+].sort(([a], [b]) => b.length - a.length);
+
+const STEP_4 = [
+  "al", "ance", "ence", "er", "ic", "able", "ible", "ant", "ement", "ment", "ent", "ou", "ism", "ate",
+  "iti", "ous", "ive", "ize",
+].sort((a, b) => b.length - a.length);
+
+/**
+ * Porter stem of a lowercase English word
+ */
+export function stemEnglish(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  // Step 1a: plurals
+  let w = word;
+  if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("ies")) w = w.slice(0, -2);
+  else if (!w.endsWith("ss") && w.endsWith("s")) w = w.slice(0, -1);
+
+  // Step 1b: -ed and -ing
+  if (w.endsWith("eed")) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    const match = w.match(/^(.*?)(ed|ing)$/);
+    if (match && hasVowel(match[1])) {
+      w = match[1];
+      if (/(at|bl|iz)$/.test(w)) w += "e";
+      else if (endsDoubleConsonant(w) && !/[lsz]$/.test(w)) w = w.slice(0, -1);
+      else if (measure(w) === 1 && endsCvc(w)) w += "e";
+    }
+  }
+
+  // Step 1c: y to i
+  if (w.endsWith("y") && hasVowel(w.slice(0, -1))) {
+    w = w.slice(0, -1) + "i";
+  }
+
+  // Steps 2 and 3: double and single suffixes
+  w = replaceSuffix(w, STEP_2, (stem) => measure(stem) > 0);
+  w = replaceSuffix(w, STEP_3, (stem) => measure(stem) > 0);
+
+  // Step 4: remove suffixes from long stems
+  for (const suffix of [...STEP_4, "ion"]) {
+    if (w.endsWith(suffix)) {
+      const stem = w.slice(0, -suffix.length);
+      if (measure(stem) > 1 && (suffix !== "ion" || /[st]$/.test(stem))) {
+        w = stem;
+      }
+      break;
+    }
+  }
+
+  // Step 5: final -e and double l
+  if (w.endsWith("e")) {
+    const stem = w.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsCvc(stem))) w = stem;
+  }
+  if (measure(w) > 1 && w.endsWith("ll")) {
+    w = w.slice(0, -1);
+  }
+
+  return w;
+}
+
+/**
+ * Stem a lowercase word in one of STEM_LANGUAGES
+ */
+export function stem(word, language) {
+  if (language === "en") {
+    return stemEnglish(word);
+  }
+  throw new Error(`Stemming is not available for language: ${language}. Supported: ${STEM_LANGUAGES.join(", ")}`);
+}
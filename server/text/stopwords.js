@@ -0,0 +1,72 @@
+/**
+ * Stopwords
+ *
+ * Function words (articles, pronouns, prepositions, conjunctions, auxiliary
+ * verbs) that carry little meaning on their own, keyed by ISO 639-1
+ * language code.
+ */
+
+function words(list) {
+  return new Set(list.trim().split(/\s+/));
+}
+
+export const STOPWORDS = {
+  en: words(`
+    a about above after again against all am an and any are as at be because been before being below
+    between both but by can could did do does doing down during each few for from further had has have
+    having he her here hers herself him himself his how i if in into is it its itself just me might more
+    most must my myself no nor not now of off on once only or other our ours ourselves out over own same
+    shall she should so some such than that the their theirs them themselves then there these they this
+    those through to too under until up upon us very was we were what when where which while who whom
+    why will with would you your yours yourself yourselves
+  `),
+  de: words(`
+    aber alle allem allen aller alles als also am an ander andere anderem anderen anderer anderes auch
+    auf aus bei bin bis bist da damit dann das dass dein deine deinem deinen deiner dem den denn der des
+    dich die dies diese diesem diesen dieser dieses dir doch dort du durch ein eine einem einen einer
+    eines er es etwas euch euer eure für hab habe haben hat hatte hatten hier hin hinter ich ihm ihn
+    ihnen ihr ihre ihrem ihren ihrer im in indem ins ist jede jedem jeden jeder jedes jene jetzt kann
+    kein keine können man manche mein meine mich mir mit muss nach nicht nichts noch nun nur ob oder
+    ohne sehr sein seine sich sie sind so solche soll sondern sonst über um und uns unser unter viel vom
+    von vor war waren warum was weil welche wenn wer werde werden wie wieder will wir wird wo zu zum zur
+  `),
+  fr: words(`
+    à ai aie aient aies ait as au aucun aussi autre aux avec avez avoir avons ayant c ce ceci cela celle
+    celles celui ces cet cette ceux chaque comme d dans de des donc dont du elle elles en encore es est
+    et été étaient était être eu eux fait faire il ils j je l la le les leur leurs lui m ma mais me même
+    mes moi mon n ne ni nos notre nous on ont ou où par pas peu plus pour qu quand que quel quelle
+    quelles quels qui s sa sans se ses si son sont sous sur t ta te tes toi ton tous tout toute toutes
+    très tu un une vos votre vous y
+  `),
+  es: words(`
+    a al algo algunas algunos ante antes como con contra cual cuando de del desde donde durante e el
+    ella ellas ellos en entre era eran es esa esas ese eso esos esta estaba estado estar estas este esto
+    estos está están fue fueron ha haber había han hasta hay la las le les lo los más me mi mis mucho
+    muy nada ni no nos nosotros o os otra otras otro otros para pero poco por porque que quien se ser si
+    sin sobre son su sus también tanto te tiene tienen todo todos tu tus un una uno unos usted y ya yo
+  `),
+  it: words(`
+    a ad al alla alle allo agli ai anche avere aveva avevano c che chi ci come con contro cui da dal
+    dalla dalle dallo dagli dai degli dei del della delle dello di dove e ed è era erano essere gli ha
+    hanno ho i il in io l la le lei li lo loro lui ma me mi mia mie miei mio ne negli nei nel nella
+    nelle nello noi non nostra nostro o per perché più quale quando quella quelle quello questa queste
+    questo qui se sei si sia sono su sua sue sui sul sulla suo suoi ti tra tu tua tuo tutti tutto un
+    una uno vi voi
+  `),
+  pt: words(`
+    a ao aos as à às até com como da das de dela dele deles do dos e é ela elas ele eles em entre era
+    eram essa essas esse esses esta estas este estes eu foi foram há isso isto já la lhe lhes mais mas
+    me mesmo meu meus minha minhas muito na nas nem no nos nós nossa nosso num numa o os ou para pela
+    pelas pelo pelos por qual quando que quem se sem ser seu seus só sua suas também te tem tu tua
+    tuas um uma umas uns você vocês
+  `),
+  nl: words(`
+    aan al alles als altijd andere ben bij daar dan dat de der deze die dit doch doen door dus een
+    eens en er ge geen geweest haar had heb hebben heeft hem het hier hij hoe hun iemand iets ik in is
+    ja je kan kon kunnen maar me meer men met mij mijn moet na naar niet niets nog nu of om omdat onder
+    ons ook op over reeds te tegen toch toen tot u uit uw van veel voor want waren was wat werd wezen
+    wie wil worden wordt zal ze zelf zich zij zijn zo zonder zou
+  `),
+};
+
+export const STOPWORD_LANGUAGES = Object.keys(STOPWORDS);
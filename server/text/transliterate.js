@@ -0,0 +1,177 @@
+/**
+ * Transliteration to ASCII
+ *
+ * Romanizes Cyrillic, Greek, Japanese kana (Hepburn), Hangul (Revised
+ * Romanization) and common Han characters (Pinyin), spells out Latin letters
+ * such as ß and æ, and removes the remaining diacritics. Rare Han
+ * characters, and kanji in Japanese and hanja in Korean text, whose readings
+ * differ from the Chinese ones, are reported as unmapped.
+ */
+
+import { removeDiacritics } from "./normalize.js";
+import { PINYIN } from "./pinyin.js";
+
+// Russian (with Ukrainian, Belarusian, Serbian and Macedonian letters),
+// loosely following the BGN/PCGN system without diacritics
+const CYRILLIC = {
+  а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ё: "yo", ж: "zh", з: "z", и: "i", й: "y",
+  к: "k", л: "l", м: "m", н: "n", о: "o", п: "p", р: "r", с: "s", т: "t", у: "u", ф: "f",
+  х: "kh", ц: "ts", ч: "ch", ш: "sh", щ: "shch", ъ: "", ы: "y", ь: "", э: "e", ю: "yu", я: "ya",
+  є: "ye", і: "i", ї: "yi", ґ: "g", ў: "u",
+  ђ: "dj", ј: "j", љ: "lj", њ: "nj", ћ: "c", џ: "dz", ѓ: "gj", ќ: "kj", ѕ: "dz",
+};
+
+// Letters romanized differently in a language's national system
+const CYRILLIC_OVERRIDES = {
+  uk: { г: "h", и: "y", й: "i" },
+  bg: { щ: "sht", ъ: "a" },
+  sr: { ц: "c", ч: "c", ш: "s", ж: "z", х: "h" },
+};
+
+// Greek (ELOT 743 without diacritics); ου is a single vowel
+const GREEK = {
+  ου: "ou",
+  α: "a", β: "v", γ: "g", δ: "d", ε: "e", ζ: "z", η: "i", θ: "th", ι: "i", κ: "k", λ: "l", μ: "m",
+  ν: "n", ξ: "x", ο: "o", π: "p", ρ: "r", σ: "s", ς: "s", τ: "t", υ: "y", φ: "f", χ: "ch", ψ: "ps",
+  ω: "o",
+};
+
+// Latin letters that are not a base letter plus a combining mark
+const LATIN = { ß: "ss", ẞ: "SS", æ: "ae", Æ: "AE", œ: "oe", Œ: "OE", þ: "th", Þ: "Th", ð: "d", Ð: "D", ĳ: "ij", Ĳ: "IJ" };
+
+// German spells umlauts out rather than dropping the dots
+const GERMAN_UMLAUTS = { ä: "ae", ö: "oe", ü: "ue", Ä: "Ae", Ö: "Oe", Ü: "Ue" };
+
+// Hiragana in Hepburn romanization; katakana are mapped onto hiragana first
+const KANA = {
+  あ: "a", い: "i", う: "u", え: "e", お: "o", か: "ka", き: "ki", く: "ku", け: "ke", こ: "ko",
+  さ: "sa", し: "shi", す: "su", せ: "se", そ: "so", た: "ta", ち: "chi", つ: "tsu", て: "te", と: "to",
+  な: "na", に: "ni", ぬ: "nu", ね: "ne", の: "no", は: "ha", ひ: "hi", ふ: "fu", へ: "he", ほ: "ho",
+  ま: "ma", み: "mi", む: "mu", め: "me", も: "mo", や: "ya", ゆ: "yu", よ: "yo",
+  ら: "ra", り: "ri", る: "ru", れ: "re", ろ: "ro", わ: "wa", ゐ: "i", ゑ: "e", を: "o", ん: "n",
+  が: "ga", ぎ: "gi", ぐ: "gu", げ: "ge", ご: "go", ざ: "za", じ: "ji", ず: "zu", ぜ: "ze", ぞ: "zo",
+  だ: "da", ぢ: "ji", づ: "zu", で: "de", ど: "do", ば: "ba", び: "bi", ぶ: "bu", べ: "be", ぼ: "bo",
+  ぱ: "pa", ぴ: "pi", ぷ: "pu", ぺ: "pe", ぽ: "po", ゔ: "vu",
+  ぁ: "a", ぃ: "i", ぅ: "u", ぇ: "e", ぉ: "o", ゃ: "ya", ゅ: "yu", ょ: "yo", ゎ: "wa",
+};
+
+const SMALL_Y = new Set(["ゃ", "ゅ", "ょ"]);
+const SMALL_VOWELS = new Set(["ぁ", "ぃ", "ぅ", "ぇ", "ぉ"]);
+
+// Hangul jamo in Revised Romanization: initials, medials, finals (as spoken
+// at the end of a syllable) and finals carried over to a following vowel
+const HANGUL_INITIALS = "g kk n d tt r m b pp s ss - j jj ch k t p h".split(" ").map((jamo) => (jamo === "-" ? "" : jamo));
+const HANGUL_MEDIALS = "a ae ya yae eo e yeo ye o wa wae oe yo u wo we wi yu eu ui i".split(" ");
+const HANGUL_FINALS = "- k k k n n n t l k m l l l p l m p p t t ng t t k t p t".split(" ").map((jamo) => (jamo === "-" ? "" : jamo));
+const HANGUL_LIAISON = {
+  1: "g", 2: "kk", 4: "n", 7: "d", 8: "r", 16: "m", 17: "b", 19: "s", 20: "ss", 21: "ng", 22: "j", 23: "ch",
+  24: "k", 25: "t", 26: "p", 27: "h",
+};
+const HANGUL_FIRST = 0xac00;
+
+function capitalize(romanized, original) {
+  return original === original.toLowerCase() || romanized === "" ? romanized : romanized[0].toUpperCase() + romanized.slice(1);
+}
+
+function romanizeCyrillic(text, language) {
+  const table = { ...CYRILLIC, ...CYRILLIC_OVERRIDES[language] };
+  return text.replace(/[\u0400-\u04FF]/g, (letter) => {
+    const romanized = table[letter.toLowerCase()];
+    return romanized === undefined ? letter : capitalize(romanized, letter);
+  });
+}
+
+function romanizeGreek(text) {
+  return text
+    .replace(/[\u0370-\u03FF\u1F00-\u1FFF]/g, (letter) => letter.normalize("NFD").replace(/\p{M}/gu, ""))
+    .replace(/ου|[\u0370-\u03FF]/gi, (letters) => {
+      const romanized = GREEK[letters.toLowerCase()];
+      return romanized === undefined ? letters : capitalize(romanized, letters);
+    });
+}
+
+function romanizeHangul(text) {
+  return text.replace(/[\uAC00-\uD7A3]+/g, (word) => {
+    let output = "";
+    const syllables = Array.from(word, (syllable) => syllable.charCodeAt(0) - HANGUL_FIRST);
+    syllables.forEach((code, i) => {
+      const final = code % 28;
+      const next = syllables[i + 1];
+      // A final consonant before a silent initial is pronounced with the next vowel
+      const carried = next !== undefined && Math.floor(next / 588) === 11 && HANGUL_LIAISON[final];
+      output +=
+        HANGUL_INITIALS[Math.floor(code / 588)] +
+        HANGUL_MEDIALS[Math.floor((code % 588) / 28)] +
+        (carried || HANGUL_FINALS[final]);
+    });
+    return output;
+  });
+}
+
+// Chinese is written without spaces; each syllable becomes a word of its own
+function romanizeHan(text) {
+  return text.replace(/\p{Script=Han}+/gu, (run, offset) => {
+    const syllables = Array.from(run, (character) => PINYIN.get(character) ?? character).join(" ");
+    const before = /[A-Za-z0-9]/.test(text[offset - 1] ?? "") ? " " : "";
+    const after = /[A-Za-z0-9]/.test(text[offset + run.length] ?? "") ? " " : "";
+    return before + syllables + after;
+  });
+}
+
+function romanizeKana(text) {
+  return text.replace(/[\u3041-\u3096\u30A1-\u30FA\u30FC]+/g, (run) => {
+    let output = "";
+    let doubleNext = false;
+    for (const kana of run) {
+      // Katakana share the hiragana readings
+      const code = kana.charCodeAt(0);
+      const hiragana = code >= 0x30a1 && code <= 0x30f6 ? String.fromCharCode(code - 0x60) : kana;
+      if (hiragana === "っ") {
+        doubleNext = true;
+        continue;
+      }
+      // The long vowel mark (ー) is left unmarked, as in most romanized slugs
+      let romanized = KANA[hiragana] ?? "";
+      if (SMALL_Y.has(hiragana) && output.endsWith("i")) {
+        // きゃ kya, but しゃ sha, ちゃ cha, じゃ ja
+        output = output.slice(0, -1);
+        romanized = /(sh|ch|j)$/.test(output) ? romanized.slice(1) : romanized;
+      } else if (SMALL_VOWELS.has(hiragana) && /[aiueo]$/.test(output)) {
+        // ファ fa, ティ ti, シェ she
+        output = output.slice(0, -1);
+      }
+      if (doubleNext && romanized) {
+        romanized = romanized.startsWith("ch") ? `t${romanized}` : romanized[0] + romanized;
+        doubleNext = false;
+      }
+      output += romanized;
+    }
+    return output;
+  });
+}
+
+/**
+ * Transliterate text to ASCII. `language` (an ISO 639-1 code) selects
+ * national rules: German umlauts (de), Cyrillic variants (uk, bg, sr), and
+ * no Pinyin for Han characters in Japanese (ja) and Korean (ko).
+ * Returns the text, which keeps any characters that could not be
+ * transliterated, and the distinct letters and digits among them.
+ */
+export function transliterate(text, language) {
+  let result = text.normalize("NFC");
+  if (language === "de") {
+    result = result.replace(/[äöüÄÖÜ]/g, (letter) => GERMAN_UMLAUTS[letter]);
+  }
+  result = romanizeCyrillic(result, language);
+  result = romanizeGreek(result);
+  result = romanizeHangul(result);
+  result = romanizeKana(result);
+  if (language !== "ja" && language !== "ko") {
+    result = romanizeHan(result);
+  }
+  result = result.replace(/[ßẞæÆœŒþÞðÐĳĲ]/g, (letter) => LATIN[letter]);
+  [result] = removeDiacritics(result.normalize("NFKC"));
+
+  const unmapped = new Set(result.match(/[^\x00-\x7F]/gu)?.filter((character) => /[\p{L}\p{N}]/u.test(character)));
+  return { text: result, unmapped: [...unmapped] };
+}
@@ -0,0 +1,94 @@
+/**
+ * Text units
+ *
+ * JavaScript strings are UTF-16, so `split("")` breaks emoji, flags and
+ * combining sequences apart. Tools that reorder or count characters work on
+ * one of three units instead:
+ *
+ * - grapheme: user-perceived characters (Intl.Segmenter)
+ * - code_point: Unicode scalar values
+ * - code_unit: UTF-16 code units (JavaScript string length)
+ */
+
+import { segmentText } from "./segments.js";
+
+export const TEXT_UNITS = ["grapheme", "code_point", "code_unit"];
+
+export const DEFAULT_UNIT = "grapheme";
+
+// Without non-ASCII characters or CRLF pairs every code unit is a grapheme
+function isSimple(text) {
+  return !/[^\x00-\x7f]|\r\n/.test(text);
+}
+
+/**
+ * JSON schema for a tool's `unit` argument
+ */
+export const unitSchema = {
+  type: "string",
+  enum: TEXT_UNITS,
+  default: DEFAULT_UNIT,
+  description:
+    "Unit to operate on: grapheme (user-perceived characters, default), code_point (Unicode code points) or code_unit (UTF-16 code units)",
+};
+
+/**
+ * Validate a `unit` argument, defaulting to graphemes
+ */
+export function resolveUnit(unit) {
+  if (unit === undefined || unit === null) {
+    return DEFAULT_UNIT;
+  }
+  if (!TEXT_UNITS.includes(unit)) {
+    throw new Error(`Invalid unit: ${unit}. Expected one of: ${TEXT_UNITS.join(", ")}`);
+  }
+  return unit;
+}
+
+/**
+ * Split text into an array of units
+ */
+export function splitUnits(text, unit = DEFAULT_UNIT) {
+  switch (unit) {
+    case "grapheme":
+      if (isSimple(text)) {
+        return text.split("");
+      }
+      return Array.from(segmentText(text, "grapheme"), ({ segment }) => segment);
+    case "code_point":
+      return Array.from(text);
+    case "code_unit":
+      return text.split("");
+    default:
+      throw new Error(`Invalid unit: ${unit}`);
+  }
+}
+
+/**
+ * Count the units in text
+ */
+export function countUnits(text, unit = DEFAULT_UNIT) {
+  switch (unit) {
+    case "grapheme": {
+      if (isSimple(text)) {
+        return text.length;
+      }
+      let count = 0;
+      for (const _ of segmentText(text, "grapheme")) {
+        count++;
+      }
+      return count;
+    }
+    case "code_point": {
+      let count = 0;
+      for (const _ of text) {
+        count++;
+      }
+      return count;
+    }
+    case "code_unit":
+      return text.length;
+    default:
+      throw new Error(`Invalid unit: ${unit}`);
+  }
+}
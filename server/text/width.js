@@ -0,0 +1,56 @@
+/**
+ * Display width
+ *
+ * Terminals give East Asian wide and fullwidth characters (CJK ideographs,
+ * kana, Hangul, fullwidth forms) and emoji two columns, and combining marks
+ * and format characters none. Widths are measured per grapheme, so an emoji
+ * sequence or a letter with its accents counts once.
+ */
+
+import { segmentText } from "./segments.js";
+
+// East Asian Width W and F ranges, outside of emoji
+const WIDE =
+  /^[\u1100-\u115F\u2329\u232A\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uA960-\uA97F\uAC00-\uD7A3\uF900-\uFAFF\uFE10-\uFE19\uFE30-\uFE6F\uFF00-\uFF60\uFFE0-\uFFE6\u{16FE0}-\u{16FE4}\u{17000}-\u{18AFF}\u{1B000}-\u{1B2FF}\u{1F200}-\u{1F2FF}\u{20000}-\u{2FFFD}\u{30000}-\u{3FFFD}]/u;
+
+// Emoji shown as pictures: emoji presentation by default or via VS16
+const EMOJI = /\p{Emoji_Presentation}|\p{Emoji}\uFE0F/u;
+
+// Combining marks, format and control characters, and the Hangul vowel and
+// final jamo that join a preceding initial
+const ZERO_WIDTH = /^[\p{Mn}\p{Me}\p{Cf}\p{Cc}\u1160-\u11FF]/u;
+
+/**
+ * Whether a grapheme is an East Asian wide or fullwidth character (emoji
+ * excluded)
+ */
+export function isWide(grapheme) {
+  return WIDE.test(grapheme);
+}
+
+/**
+ * Columns a single grapheme occupies
+ */
+export function graphemeWidth(grapheme) {
+  if (grapheme.length === 1 && grapheme >= " " && grapheme <= "~") {
+    return 1;
+  }
+  if (WIDE.test(grapheme) || EMOJI.test(grapheme)) {
+    return 2;
+  }
+  return ZERO_WIDTH.test(grapheme) ? 0 : 1;
+}
+
+/**
+ * Columns text occupies on a terminal
+ */
+export function displayWidth(text) {
+  if (/^[ -~]*$/.test(text)) {
+    return text.length;
+  }
+  let width = 0;
+  for (const { segment } of segmentText(text, "grapheme")) {
+    width += graphemeWidth(segment);
+  }
+  return width;
+}
@@ -0,0 +1,96 @@
+/**
+ * Word and sentence segmentation
+ *
+ * Words and sentences come from Intl.Segmenter, so scripts written without
+ * spaces (Chinese, Japanese, Thai) are split into real words and
+ * punctuation-only tokens such as "—" are not counted as words.
+ */
+
+import { CHUNK_SIZE } from "./chunks.js";
+import { segmentText } from "./segments.js";
+
+/**
+ * Word-like segments ({ segment, index }) in order
+ */
+export function* wordSegments(text, locale) {
+  for (const { segment, index, isWordLike } of segmentText(text, "word", locale)) {
+    if (isWordLike) {
+      yield { segment, index };
+    }
+  }
+}
+
+/**
+ * Words in order, reporting progress through the text
+ */
+export function splitWords(text, locale, progress) {
+  const words = [];
+  let nextReport = CHUNK_SIZE;
+  for (const { segment, index } of wordSegments(text, locale)) {
+    words.push(segment);
+    if (index >= nextReport) {
+      progress?.(index, text.length);
+      nextReport = index + CHUNK_SIZE;
+    }
+  }
+  progress?.(text.length, text.length);
+  return words;
+}
+
+/**
+ * Sentences in order, trimmed, skipping segments without letters or digits
+ */
+export function splitSentences(text, locale) {
+  const sentences = [];
+  for (const { segment } of segmentText(text, "sentence", locale)) {
+    if (/[\p{L}\p{N}]/u.test(segment)) {
+      sentences.push(segment.trim());
+    }
+  }
+  return sentences;
+}
+
+/**
+ * Paragraphs (separated by blank lines) that contain text
+ */
+export function splitParagraphs(text) {
+  return text.split(/\r?\n[ \t]*\r?\n/).filter((paragraph) => /\S/.test(paragraph));
+}
+
+/**
+ * Number of lines; a trailing line break does not start a new line
+ */
+export function countLines(text) {
+  if (text === "") {
+    return 0;
+  }
+  return text.replace(/(\r\n|\r|\n)$/, "").split(/\r\n|\r|\n/).length;
+}
+
+/**
+ * Whether a word is a number (123, 3.14, 1,000)
+ */
+export function isNumber(word) {
+  return /^\p{N}+([.,]\p{N}+)*$/u.test(word);
+}
+
+const FENCED_CODE = /^[ \t]*(```|~~~)[^\n]*\n[\s\S]*?(?:^[ \t]*\1[ \t]*$|(?![\s\S]))/gm;
+const INLINE_CODE = /`[^`\n]+`/g;
+const URL_PATTERN = /\b(?:[a-z][a-z0-9+.-]*:\/\/|www\.)[^\s<>"'`]+/gi;
+
+/**
+ * Blank out Markdown code (fenced blocks and inline spans) and/or URLs,
+ * keeping line breaks so line numbers are unchanged
+ */
+export function removeIgnored(text, { code = false, urls = false } = {}) {
+  let result = text;
+  if (code) {
+    result = result
+      .replace(FENCED_CODE, (block) => block.replace(/[^\n]/g, ""))
+      .replace(INLINE_CODE, " ");
+  }
+  if (urls) {
+    result = result.replace(URL_PATTERN, " ");
+  }
+  return result;
+}
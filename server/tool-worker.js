@@ -0,0 +1,35 @@
+/**
+ * Tool worker
+ *
+ * Entry point for worker threads in the tool pool (see worker-pool.js).
+ * Runs one tool handler per message and posts the result back, with
+ * progress updates in between when the task asks for them.
+ */
+
+import { parentPort } from "node:worker_threads";
+import { toolHandlers } from "./tools/index.js";
+
+// Minimum time between progress messages for one task
+const PROGRESS_INTERVAL_MS = 50;
+
+parentPort.on("message", async ({ id, task }) => {
+  const { name, text, args, reportProgress } = task;
+
+  let lastProgressAt = 0;
+  const progress = reportProgress
+    ? (processed, total) => {
+        const now = Date.now();
+        if (processed >= total || now - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+          lastProgressAt = now;
+          parentPort.postMessage({ id, progress: { progress: processed, total } });
+        }
+      }
+    : undefined;
+
+  try {
+    const result = await toolHandlers[name](text, args, { progress });
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,65 @@
+import { jsonResponse } from "./response.js";
+import { mapChunks } from "../text/chunks.js";
+import { countUnits, resolveUnit, unitSchema } from "../text/units.js";
+
+export default {
+  name: "character_count",
+  description:
+    "Counts the number of characters (including spaces) in the given text as graphemes, code points, UTF-16 code units and UTF-8 bytes",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to count characters in",
+      },
+      unit: {
+        ...unitSchema,
+        description:
+          "Unit used for total_characters and characters_without_spaces: grapheme (user-perceived characters, default), code_point or code_unit",
+      },
+    },
+    required: ["text"],
+  },
+  annotations: {
+    title: "Character Count",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const unit = resolveUnit(args?.unit);
+
+    // Chunks never split a grapheme, so per-chunk counts add up exactly
+    const counts = mapChunks(
+      text,
+      (chunk) => ({
+        grapheme: countUnits(chunk, "grapheme"),
+        code_point: countUnits(chunk, "code_point"),
+        code_unit: chunk.length,
+        utf8_bytes: Buffer.byteLength(chunk, "utf8"),
+        without_spaces: countUnits(chunk.replace(/\s/g, ""), unit),
+      }),
+      progress
+    ).reduce((sum, count) => {
+      for (const key of Object.keys(count)) {
+        sum[key] = (sum[key] ?? 0) + count[key];
+      }
+      return sum;
+    }, {});
+
+    const total = counts[unit] ?? 0;
+    const withoutSpaces = counts.without_spaces ?? 0;
+    return jsonResponse({
+      success: true,
+      tool: "character_count",
+      unit,
+      total_characters: total,
+      characters_without_spaces: withoutSpaces,
+      graphemes: counts.grapheme ?? 0,
+      code_points: counts.code_point ?? 0,
+      code_units: counts.code_unit ?? 0,
+      utf8_bytes: counts.utf8_bytes ?? 0,
+      result: `${total} total character${total !== 1 ? "s" : ""} (${withoutSpaces} without spaces)`,
+    });
+  },
+};
@@ -0,0 +1,54 @@
+import { textResultResponse } from "./response.js";
+import { CASE_STYLES, convertCase } from "../text/case.js";
+import { localeSchema, resolveLocale } from "../text/locale.js";
+
+export default {
+  name: "convert_case",
+  description:
+    "Converts text to title, sentence, camel, Pascal, snake, kebab, constant, toggle or alternating case",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to convert",
+      },
+      style: {
+        type: "string",
+        enum: CASE_STYLES,
+        description:
+          "Case style: title, sentence, camel (camelCase), pascal (PascalCase), snake (snake_case), kebab (kebab-case), constant (CONSTANT_CASE), toggle (swap case) or alternating (aLtErNaTiNg). Identifier styles convert each line separately",
+      },
+      locale: localeSchema,
+    },
+    required: ["text", "style"],
+  },
+  annotations: {
+    title: "Convert Case",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const style = args?.style;
+    if (!CASE_STYLES.includes(style)) {
+      throw new Error(`Invalid style: ${style}. Expected one of: ${CASE_STYLES.join(", ")}`);
+    }
+    const locale = resolveLocale(args?.locale);
+
+    // Title and sentence case depend on the words around each word, so the
+    // text is converted in one pass
+    const converted = convertCase(text, style, locale);
+    progress?.(text.length, text.length);
+
+    return textResultResponse(
+      {
+        success: true,
+        tool: "convert_case",
+        input_length: text.length,
+        style,
+        ...(locale && { locale }),
+      },
+      converted
+    );
+  },
+};
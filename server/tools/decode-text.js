@@ -0,0 +1,52 @@
+import { textResultResponse } from "./response.js";
+import { BYTE_ENCODINGS, ENCODINGS, charsetSchema, decodeText, resolveCharset } from "../text/encodings.js";
+
+export default {
+  name: "decode_text",
+  description:
+    "Decodes Base64 (standard or URL-safe), hex, URL percent-encoding, HTML entities, quoted-printable, punycode or ROT13 text, reporting malformed input as an error",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The encoded text to decode",
+      },
+      encoding: {
+        type: "string",
+        enum: ENCODINGS,
+        description:
+          "base64, base64url, hex, url (percent-encoding), html (named and numeric character references), quoted_printable, punycode (xn-- labels) or rot13. Whitespace is ignored in base64 and hex",
+      },
+      charset: charsetSchema,
+    },
+    required: ["text", "encoding"],
+  },
+  annotations: {
+    title: "Decode Text",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const encoding = args?.encoding;
+    if (!ENCODINGS.includes(encoding)) {
+      throw new Error(`Invalid encoding: ${encoding}. Expected one of: ${ENCODINGS.join(", ")}`);
+    }
+    const charset = resolveCharset(args?.charset);
+    const byteEncoding = BYTE_ENCODINGS.includes(encoding);
+
+    const { result, bytes } = decodeText(text, encoding, charset);
+    progress?.(text.length, text.length);
+
+    return textResultResponse(
+      {
+        success: true,
+        tool: "decode_text",
+        input_length: text.length,
+        encoding,
+        ...(byteEncoding && { charset, byte_length: bytes }),
+      },
+      result
+    );
+  },
+};
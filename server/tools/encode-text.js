@@ -0,0 +1,52 @@
+import { textResultResponse } from "./response.js";
+import { BYTE_ENCODINGS, ENCODINGS, charsetSchema, encodeText, resolveCharset } from "../text/encodings.js";
+
+export default {
+  name: "encode_text",
+  description:
+    "Encodes text as Base64 (standard or URL-safe), hex, URL percent-encoding, HTML entities, quoted-printable, punycode or ROT13",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to encode",
+      },
+      encoding: {
+        type: "string",
+        enum: ENCODINGS,
+        description:
+          "base64, base64url (URL-safe alphabet, no padding), hex, url (RFC 3986 percent-encoding), html (escapes & < > \" '), quoted_printable, punycode (non-ASCII domain labels as xn--) or rot13",
+      },
+      charset: charsetSchema,
+    },
+    required: ["text", "encoding"],
+  },
+  annotations: {
+    title: "Encode Text",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const encoding = args?.encoding;
+    if (!ENCODINGS.includes(encoding)) {
+      throw new Error(`Invalid encoding: ${encoding}. Expected one of: ${ENCODINGS.join(", ")}`);
+    }
+    const charset = resolveCharset(args?.charset);
+    const byteEncoding = BYTE_ENCODINGS.includes(encoding);
+
+    const { result, bytes } = encodeText(text, encoding, charset);
+    progress?.(text.length, text.length);
+
+    return textResultResponse(
+      {
+        success: true,
+        tool: "encode_text",
+        input_length: text.length,
+        encoding,
+        ...(byteEncoding && { charset, byte_length: bytes }),
+      },
+      result
+    );
+  },
+};
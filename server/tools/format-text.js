@@ -0,0 +1,159 @@
+import { textResultResponse } from "./response.js";
+import { countUnits } from "../text/units.js";
+import {
+  ALIGNMENTS,
+  DEFAULT_ELLIPSIS,
+  TRUNCATE_UNITS,
+  formatText,
+  truncateText,
+} from "../text/format.js";
+
+const MAX_WIDTH = 10000;
+const MAX_ELLIPSIS_LENGTH = 10;
+
+function resolveColumns(value, name, minimum) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (!Number.isInteger(value) || value < minimum || value > MAX_WIDTH) {
+    throw new Error(`Invalid ${name}: ${value}. Expected an integer from ${minimum} to ${MAX_WIDTH}`);
+  }
+  return value;
+}
+
+function resolveChoice(value, name, choices) {
+  if (value === undefined || value === null) {
+    return choices[0];
+  }
+  if (!choices.includes(value)) {
+    throw new Error(`Invalid ${name}: ${value}. Expected one of: ${choices.join(", ")}`);
+  }
+  return value;
+}
+
+export default {
+  name: "format_text",
+  description:
+    "Lays text out for fixed-width output: wraps to a column width (CJK characters count as two columns), indents, aligns left, right, center or justified, and truncates by characters or words with an ellipsis; optionally keeps Markdown lists and code blocks intact",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to format",
+      },
+      width: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_WIDTH,
+        description:
+          "Wrap lines to this many terminal columns (e.g. 72 for commit message bodies); words longer than a line are broken. Omit to keep lines as they are",
+      },
+      indent: {
+        type: "integer",
+        minimum: 0,
+        default: 0,
+        description: "Spaces to indent every line with",
+      },
+      hanging_indent: {
+        type: "integer",
+        minimum: 0,
+        default: 0,
+        description: "Extra spaces to indent the wrapped continuation lines of each paragraph with",
+      },
+      align: {
+        type: "string",
+        enum: ALIGNMENTS,
+        default: "left",
+        description:
+          "left, right, center or justify (the last line of each paragraph stays left-aligned), within width or, without one, the widest line",
+      },
+      reflow: {
+        type: "boolean",
+        default: false,
+        description: "Join the lines of each paragraph (separated by blank lines) before wrapping",
+      },
+      markdown: {
+        type: "boolean",
+        default: false,
+        description:
+          "Treat the text as Markdown: rewrap paragraphs, list items and block quotes keeping their markers, and leave code blocks, headings and tables untouched",
+      },
+      truncate: {
+        type: "integer",
+        minimum: 1,
+        description: "Shorten the text, before formatting, to at most this many characters (the ellipsis included) or words",
+      },
+      truncate_unit: {
+        type: "string",
+        enum: TRUNCATE_UNITS,
+        default: "characters",
+        description: "What truncate counts: characters (user-perceived, grapheme clusters) or words",
+      },
+      ellipsis: {
+        type: "string",
+        default: DEFAULT_ELLIPSIS,
+        description: `Appended to truncated text (up to ${MAX_ELLIPSIS_LENGTH} characters, may be empty)`,
+      },
+    },
+    required: ["text"],
+  },
+  annotations: {
+    title: "Format Text",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const width = resolveColumns(args?.width, "width", 1);
+    const indent = resolveColumns(args?.indent, "indent", 0) ?? 0;
+    const hangingIndent = resolveColumns(args?.hanging_indent, "hanging_indent", 0) ?? 0;
+    if (width !== undefined && indent + hangingIndent >= width) {
+      throw new Error(
+        `Invalid width: ${width}. Expected more columns than indent and hanging_indent (${indent + hangingIndent})`
+      );
+    }
+    const align = resolveChoice(args?.align, "align", ALIGNMENTS);
+    const markdown = args?.markdown === true;
+    if (markdown && (align === "right" || align === "center")) {
+      throw new Error(`Invalid align: ${align}. Markdown can only be aligned left or justified`);
+    }
+
+    const limit = args?.truncate;
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw new Error(`Invalid truncate: ${limit}. Expected a positive integer`);
+    }
+    const unit = resolveChoice(args?.truncate_unit, "truncate_unit", TRUNCATE_UNITS);
+    const ellipsis = args?.ellipsis ?? DEFAULT_ELLIPSIS;
+    if (typeof ellipsis !== "string" || countUnits(ellipsis) > MAX_ELLIPSIS_LENGTH) {
+      throw new Error(`Invalid ellipsis: expected a string of at most ${MAX_ELLIPSIS_LENGTH} characters`);
+    }
+    if (limit !== undefined && unit === "characters" && limit < countUnits(ellipsis)) {
+      throw new Error(`Invalid truncate: ${limit}. Expected at least the ellipsis length (${countUnits(ellipsis)})`);
+    }
+
+    const truncation = limit === undefined ? { text, truncated: false } : truncateText(text, limit, unit, ellipsis);
+    const formatted = formatText(truncation.text, {
+      width,
+      indent,
+      hangingIndent,
+      align,
+      markdown,
+      reflow: args?.reflow === true,
+    });
+    progress?.(text.length, text.length);
+
+    return textResultResponse(
+      {
+        success: true,
+        tool: "format_text",
+        input_length: text.length,
+        ...(width !== undefined && { width }),
+        align,
+        ...(limit !== undefined && { truncated: truncation.truncated }),
+        output_lines: formatted.lines,
+        max_line_width: formatted.maxLineWidth,
+      },
+      formatted.text
+    );
+  },
+};
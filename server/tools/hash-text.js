@@ -0,0 +1,128 @@
+import { createHash, createHmac } from "node:crypto";
+import { jsonResponse } from "./response.js";
+import { chunkText } from "../text/chunks.js";
+import { adler32, crc32 } from "../text/checksums.js";
+import { UNPAIRED_SURROGATE } from "../text/encodings.js";
+
+// node:crypto digest names, in the order they are offered
+const DIGESTS = {
+  md5: "md5",
+  sha1: "sha1",
+  sha256: "sha256",
+  sha384: "sha384",
+  sha512: "sha512",
+  "sha3-256": "sha3-256",
+  "sha3-384": "sha3-384",
+  "sha3-512": "sha3-512",
+  blake2b512: "blake2b512",
+  blake2s256: "blake2s256",
+};
+
+const CHECKSUMS = { crc32, adler32 };
+
+const ALGORITHMS = [...Object.keys(DIGESTS), ...Object.keys(CHECKSUMS)];
+const FORMATS = ["hex", "base64"];
+
+// Hash text chunk by chunk; chunks never split a character, so their UTF-8
+// bytes concatenate to the bytes of the whole text
+function digestText(text, algorithm, hmacKey, progress) {
+  let processed = 0;
+  const eachChunk = (update) => {
+    for (const chunk of chunkText(text)) {
+      update(Buffer.from(chunk, "utf8"));
+      processed += chunk.length;
+      progress?.(processed, text.length);
+    }
+  };
+
+  if (algorithm in CHECKSUMS) {
+    let value = algorithm === "adler32" ? 1 : 0;
+    eachChunk((bytes) => {
+      value = CHECKSUMS[algorithm](bytes, value);
+    });
+    const digest = Buffer.alloc(4);
+    digest.writeUInt32BE(value);
+    return digest;
+  }
+
+  const hash = hmacKey === undefined ? createHash(DIGESTS[algorithm]) : createHmac(DIGESTS[algorithm], hmacKey);
+  eachChunk((bytes) => hash.update(bytes));
+  return hash.digest();
+}
+
+export default {
+  name: "hash_text",
+  description:
+    "Computes a cryptographic hash (MD5, SHA-1, SHA-2, SHA-3, BLAKE2), an HMAC with a given key, or a CRC-32 or Adler-32 checksum of the UTF-8 bytes of the text",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to hash (as UTF-8 bytes)",
+      },
+      algorithm: {
+        type: "string",
+        enum: ALGORITHMS,
+        default: "sha256",
+        description: "Hash or checksum algorithm; md5 and sha1 are broken for security purposes",
+      },
+      hmac_key: {
+        type: "string",
+        description: "Secret key (as UTF-8 bytes) to compute an HMAC with the hash algorithm instead of a plain hash",
+      },
+      format: {
+        type: "string",
+        enum: FORMATS,
+        default: "hex",
+        description: "Output encoding of the digest: hex (lowercase) or base64",
+      },
+    },
+    required: ["text"],
+  },
+  annotations: {
+    title: "Hash Text",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const algorithm = args?.algorithm ?? "sha256";
+    if (!ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Invalid algorithm: ${algorithm}. Expected one of: ${ALGORITHMS.join(", ")}`);
+    }
+    const format = args?.format ?? "hex";
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Invalid format: ${format}. Expected one of: ${FORMATS.join(", ")}`);
+    }
+    const hmacKey = args?.hmac_key;
+    if (hmacKey !== undefined) {
+      if (typeof hmacKey !== "string") {
+        throw new Error("Invalid hmac_key: expected a string");
+      }
+      if (algorithm in CHECKSUMS) {
+        throw new Error(`Invalid hmac_key: HMAC requires a hash algorithm, not the ${algorithm} checksum`);
+      }
+    }
+
+    for (const [name, value] of [["text", text], ["hmac_key", hmacKey ?? ""]]) {
+      const lone = value.search(UNPAIRED_SURROGATE);
+      if (lone !== -1) {
+        throw new Error(`Invalid ${name}: unpaired surrogate at position ${lone} has no UTF-8 encoding`);
+      }
+    }
+
+    const digest = digestText(text, algorithm, hmacKey, progress);
+
+    // The key is never echoed back
+    return jsonResponse({
+      success: true,
+      tool: "hash_text",
+      input_length: text.length,
+      byte_length: Buffer.byteLength(text, "utf8"),
+      algorithm,
+      hmac: hmacKey !== undefined,
+      format,
+      result: digest.toString(format),
+    });
+  },
+};
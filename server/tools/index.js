@@ -0,0 +1,324 @@
+/**
+ * Tool registry
+ *
+ * Single source of truth for the tools exposed by both the stdio server
+ * (server/index.js) and the HTTP server (server-http.js). Each tool module
+ * exports its name, description, input schema, annotations and handler;
+ * this module validates input, enforces the execution timeout and wires the
+ * tools into an MCP Server instance.
+ */
+
+import { cpus } from "node:os";
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { errorResponse } from "./response.js";
+import {
+  toolCalls,
+  toolDuration,
+  toolInputSize,
+  toolTimeouts,
+  unknownToolCalls,
+} from "../metrics.js";
+import { silentLogger } from "../logger.js";
+import { ToolCancelledError, ToolTimeoutError, createWorkerPool } from "../worker-pool.js";
+import reverseText from "./reverse-text.js";
+import uppercaseText from "./uppercase-text.js";
+import lowercaseText from "./lowercase-text.js";
+import slugify from "./slugify.js";
+import wordCount from "./word-count.js";
+import characterCount from "./character-count.js";
+import shuffleText from "./shuffle-text.js";
+import convertCase from "./convert-case.js";
+import textStatistics from "./text-statistics.js";
+import wordFrequency from "./word-frequency.js";
+import textDiff from "./text-diff.js";
+import stringSimilarity from "./string-similarity.js";
+import regex from "./regex.js";
+import encodeText from "./encode-text.js";
+import decodeText from "./decode-text.js";
+import hashText from "./hash-text.js";
+import normalizeText from "./normalize-text.js";
+import lines from "./lines.js";
+import formatText from "./format-text.js";
+
+// Tool timeout in milliseconds (30 seconds default)
+export const TOOL_TIMEOUT_MS = Number(process.env.TOOL_TIMEOUT_MS) || 30000;
+
+// Worker threads running tool handlers (TOOL_WORKERS overrides the default)
+const TOOL_WORKERS = Number(process.env.TOOL_WORKERS) || Math.max(2, Math.min(4, cpus().length));
+
+// Maximum input length to prevent memory issues
+export const MAX_INPUT_LENGTH = 1000000; // 1MB of text
+
+/**
+ * Registered tools, in the order they are listed to clients
+ */
+export const tools = [
+  reverseText,
+  uppercaseText,
+  lowercaseText,
+  slugify,
+  wordCount,
+  characterCount,
+  shuffleText,
+  convertCase,
+  textStatistics,
+  wordFrequency,
+  textDiff,
+  stringSimilarity,
+  regex,
+  encodeText,
+  decodeText,
+  hashText,
+  normalizeText,
+  lines,
+  formatText,
+];
+
+/**
+ * Tool handlers keyed by tool name
+ */
+export const toolHandlers = Object.fromEntries(
+  tools.map((tool) => [tool.name, tool.handler])
+);
+
+/**
+ * Tool definitions for MCP protocol (everything except the handler)
+ */
+export const toolDefinitions = tools.map(({ handler, inputs, ...definition }) => definition);
+
+/**
+ * Text arguments each tool validates and receives, keyed by tool name, as
+ * `{ name, array }`. Most tools take a single `text`; tools comparing inputs
+ * list theirs in `inputs` (a name, or `{ name, array: true }` for an array
+ * of strings), and the first one is passed to the handler as its text.
+ */
+export const toolInputs = Object.fromEntries(
+  tools.map((tool) => [
+    tool.name,
+    (tool.inputs ?? ["text"]).map((input) =>
+      typeof input === "string" ? { name: input, array: false } : { array: false, ...input }
+    ),
+  ])
+);
+
+/**
+ * Names of all registered tools
+ */
+export const toolNames = tools.map((tool) => tool.name);
+
+/**
+ * Whether a client may use a tool. HTTP clients authenticated with a
+ * restricted API key carry an allowlist in their AuthInfo; everyone else
+ * may use every tool.
+ */
+export function isToolAllowed(authInfo, toolName) {
+  const allowedTools = authInfo?.extra?.allowedTools;
+  return !Array.isArray(allowedTools) || allowedTools.includes(toolName);
+}
+
+// Maximum number of strings in an array input
+export const MAX_INPUT_ITEMS = 10000;
+
+/**
+ * Validate input text for security and performance. With `array`, the
+ * input is an array of strings whose combined length is limited instead.
+ */
+export function validateInput(text, toolName, inputName = "text", { array = false } = {}) {
+  // Name the argument only for tools with several inputs
+  const subject = inputName === "text" ? toolName : `${toolName} (${inputName})`;
+
+  if (array) {
+    if (!Array.isArray(text)) {
+      throw new Error(`Invalid input type for ${subject}: expected array of strings, got ${typeof text}`);
+    }
+    if (text.length > MAX_INPUT_ITEMS) {
+      throw new Error(`Too many items for ${subject}: ${text.length} exceeds maximum of ${MAX_INPUT_ITEMS}`);
+    }
+    const badItem = text.findIndex((item) => typeof item !== "string");
+    if (badItem !== -1) {
+      throw new Error(
+        `Invalid input type for ${subject}[${badItem}]: expected string, got ${typeof text[badItem]}`
+      );
+    }
+  } else if (typeof text !== "string") {
+    throw new Error(`Invalid input type for ${subject}: expected string, got ${typeof text}`);
+  }
+
+  const length = array ? text.reduce((total, item) => total + item.length, 0) : text.length;
+  if (length > MAX_INPUT_LENGTH) {
+    throw new Error(
+      `Input too large for ${subject}: ${length} characters exceeds maximum of ${MAX_INPUT_LENGTH}`
+    );
+  }
+
+  return text;
+}
+
+// Characters in a string argument or an array of strings
+function valueLength(value) {
+  if (typeof value === "string") {
+    return value.length;
+  }
+  return Array.isArray(value) ? value.reduce((total, item) => total + valueLength(item), 0) : 0;
+}
+
+/**
+ * Total characters across the string (and string array) arguments of a tool call
+ */
+export function inputLength(args) {
+  return Object.values(args ?? {}).reduce((total, value) => total + valueLength(value), 0);
+}
+
+// Created on first use so importing the registry (e.g. inside a worker)
+// never starts threads
+let workerPool;
+
+function getWorkerPool() {
+  workerPool ??= createWorkerPool({
+    workerUrl: new URL("../tool-worker.js", import.meta.url),
+    size: TOOL_WORKERS,
+  });
+  return workerPool;
+}
+
+/**
+ * Run a registered tool and return its MCP result.
+ *
+ * Unknown tools throw (surfacing as a JSON-RPC error); failures inside a
+ * known tool are returned as a structured error result instead. The
+ * optional `beforeCall(name, args)` hook may throw to reject a call with a
+ * JSON-RPC error (e.g. when the client is rate limited).
+ *
+ * Handlers run in a worker thread that is terminated when the call exceeds
+ * TOOL_TIMEOUT_MS or `signal` aborts (MCP `notifications/cancelled`).
+ * When `onProgress({ progress, total })` is given, handlers report how many
+ * input characters they have processed.
+ */
+export async function callTool(
+  name,
+  args,
+  { logger = silentLogger, authInfo, beforeCall, signal, onProgress } = {}
+) {
+  // Log tool invocation for debugging
+  logger.info("Tool invoked", { tool: name, inputChars: inputLength(args) });
+  logger.debug("Tool arguments", { tool: name, arguments: args ?? {} });
+
+  // Validate tool exists
+  if (!toolHandlers[name]) {
+    const error = `Unknown tool: ${name}. Available tools: ${toolNames.join(", ")}`;
+    logger.warning("Unknown tool", { tool: name });
+    unknownToolCalls.inc();
+    throw new Error(error);
+  }
+
+  // Validate the client may use it
+  if (!isToolAllowed(authInfo, name)) {
+    const error = `Tool ${name} is not allowed for client ${authInfo.clientId}`;
+    logger.warning("Tool not allowed", { tool: name, client: authInfo.clientId });
+    toolCalls.inc({ tool: name, outcome: "forbidden" });
+    throw new Error(error);
+  }
+
+  try {
+    beforeCall?.(name, args);
+  } catch (error) {
+    logger.warning("Tool call rejected", { tool: name, error: error.message });
+    toolCalls.inc({ tool: name, outcome: "rejected" });
+    throw error;
+  }
+
+  toolInputSize.observe({ tool: name }, inputLength(args));
+  const startedAt = performance.now();
+
+  try {
+    // Validate and extract input. The first input defaults to empty; the
+    // others stay absent so handlers can tell a missing argument apart
+    const inputs = Object.fromEntries(
+      toolInputs[name]
+        .filter(({ name: input }, index) => index === 0 || (args?.[input] !== undefined && args?.[input] !== null))
+        .map(({ name: input, array }) => [
+          input,
+          validateInput(args?.[input] || (array ? [] : ""), name, input, { array }),
+        ])
+    );
+    const text = inputs[toolInputs[name][0].name];
+
+    // Execute tool in a worker with timeout and cancellation
+    const result = await getWorkerPool().run(
+      { name, text, args: { ...args, ...inputs }, reportProgress: onProgress !== undefined },
+      { name, timeoutMs: TOOL_TIMEOUT_MS, signal, onProgress }
+    );
+
+    logger.info("Tool completed", {
+      tool: name,
+      durationMs: Math.round(performance.now() - startedAt),
+    });
+    toolCalls.inc({ tool: name, outcome: "success" });
+    return result;
+  } catch (error) {
+    if (error instanceof ToolCancelledError) {
+      logger.info("Tool cancelled", { tool: name });
+      toolCalls.inc({ tool: name, outcome: "cancelled" });
+      return errorResponse(name, error.message);
+    }
+
+    logger.error("Tool failed", { tool: name, error: error.message });
+
+    if (error instanceof ToolTimeoutError) {
+      toolTimeouts.inc({ tool: name });
+      toolCalls.inc({ tool: name, outcome: "timeout" });
+    } else {
+      toolCalls.inc({ tool: name, outcome: "error" });
+    }
+
+    // Return structured error response
+    return errorResponse(name, error.message);
+  } finally {
+    toolDuration.observe({ tool: name }, (performance.now() - startedAt) / 1000);
+  }
+}
+
+/**
+ * Register the tools/list and tools/call handlers on an MCP Server.
+ * `requestLogger(extra)` may return a logger scoped to a single request.
+ */
+export function registerTools(server, { requestLogger, ...options } = {}) {
+  // Handle tool listing
+  server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
+    return {
+      tools: toolDefinitions.filter((tool) => isToolAllowed(extra.authInfo, tool.name)),
+    };
+  });
+
+  // Handle tool execution
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    const progressToken = request.params._meta?.progressToken;
+
+    // Report progress only to clients that asked for it
+    const onProgress =
+      progressToken === undefined
+        ? undefined
+        : ({ progress, total }) => {
+            extra
+              .sendNotification({
+                method: "notifications/progress",
+                params: { progressToken, progress, total },
+              })
+              .catch(() => {
+                // Progress is best effort; the result still arrives
+              });
+          };
+
+    return callTool(name, args, {
+      onProgress,
+      ...options,
+      logger: requestLogger?.(extra) ?? options.logger,
+      authInfo: extra.authInfo,
+      signal: extra.signal,
+    });
+  });
+}
@@ -0,0 +1,140 @@
+import { textResultResponse } from "./response.js";
+import { localeSchema } from "../text/locale.js";
+import {
+  LINE_OPERATIONS,
+  MAX_OPERATIONS,
+  SORT_ORDERS,
+  applyLineOperations,
+  joinLines,
+  splitLines,
+} from "../text/lines.js";
+
+export default {
+  name: "lines",
+  description:
+    "Applies a chain of line operations to multi-line text: sort (lexical, natural, numeric, locale), unique, filter by substring or regex, head, tail, number, remove blank lines and extract columns",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The multi-line text to process",
+      },
+      operations: {
+        type: "array",
+        minItems: 1,
+        maxItems: MAX_OPERATIONS,
+        description:
+          'Operations applied in order, e.g. [{"op": "filter", "contains": "error"}, {"op": "sort", "order": "natural"}, {"op": "unique"}]',
+        items: {
+          type: "object",
+          properties: {
+            op: {
+              type: "string",
+              enum: LINE_OPERATIONS,
+              description:
+                "sort, unique (remove duplicate lines), filter, head (first count lines), tail (last count lines), number (prefix line numbers), remove_blank (drop empty and whitespace-only lines) or columns",
+            },
+            order: {
+              type: "string",
+              enum: SORT_ORDERS,
+              default: "lexical",
+              description:
+                "sort: lexical (code point order), natural (file2 before file10), numeric (by leading number) or locale (language collation)",
+            },
+            reverse: {
+              type: "boolean",
+              default: false,
+              description: "sort: descending order",
+            },
+            locale: {
+              ...localeSchema,
+              description: "sort: BCP 47 locale for natural and locale order (default en)",
+            },
+            case_insensitive: {
+              type: "boolean",
+              default: false,
+              description: "sort, unique, filter (contains): ignore case",
+            },
+            keep: {
+              type: "string",
+              enum: ["first", "last"],
+              default: "first",
+              description: "unique: keep the first or the last occurrence of each line",
+            },
+            contains: {
+              type: "string",
+              description: "filter: keep lines containing this substring",
+            },
+            pattern: {
+              type: "string",
+              description: "filter: keep lines matching this JavaScript regular expression",
+            },
+            flags: {
+              type: "string",
+              description: "filter: regular expression flags, e.g. i",
+            },
+            invert: {
+              type: "boolean",
+              default: false,
+              description: "filter: keep the lines that do not match instead",
+            },
+            count: {
+              type: "integer",
+              minimum: 0,
+              default: 10,
+              description: "head, tail: number of lines to keep",
+            },
+            start: {
+              type: "integer",
+              default: 1,
+              description: "number: first line number",
+            },
+            separator: {
+              type: "string",
+              default: ": ",
+              description: "number: text between the line number and the line",
+            },
+            columns: {
+              type: "array",
+              items: { type: "integer" },
+              description: "columns: 1-based column numbers to extract, in output order (negative counts from the end)",
+            },
+            delimiter: {
+              type: "string",
+              description: "columns: field delimiter, e.g. , or \\t (default: runs of whitespace)",
+            },
+            output_delimiter: {
+              type: "string",
+              description: "columns: delimiter between extracted fields (default: the input delimiter, or a space)",
+            },
+          },
+          required: ["op"],
+        },
+      },
+    },
+    required: ["text", "operations"],
+  },
+  annotations: {
+    title: "Lines",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const split = splitLines(text);
+    const { lines, steps } = applyLineOperations(split.lines, args?.operations);
+    progress?.(text.length, text.length);
+
+    return textResultResponse(
+      {
+        success: true,
+        tool: "lines",
+        input_length: text.length,
+        input_lines: split.lines.length,
+        output_lines: lines.length,
+        steps,
+      },
+      joinLines(lines, split)
+    );
+  },
+};
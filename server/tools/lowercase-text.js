@@ -0,0 +1,40 @@
+import { textResultResponse } from "./response.js";
+import { mapChunks } from "../text/chunks.js";
+import { localeSchema, resolveLocale, toLower } from "../text/locale.js";
+
+export default {
+  name: "lowercase_text",
+  description: "Converts text to lowercase",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to convert to lowercase",
+      },
+      locale: {
+        ...localeSchema,
+        description: "BCP 47 locale tag for language-specific casing, e.g. tr for dotted and dotless i",
+      },
+    },
+    required: ["text"],
+  },
+  annotations: {
+    title: "Lowercase Text",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const locale = resolveLocale(args?.locale);
+    const lowercased = mapChunks(text, (chunk) => toLower(chunk, locale), progress).join("");
+    return textResultResponse(
+      {
+        success: true,
+        tool: "lowercase_text",
+        input_length: text.length,
+        ...(locale && { locale }),
+      },
+      lowercased
+    );
+  },
+};
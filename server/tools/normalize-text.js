@@ -0,0 +1,92 @@
+import { textResultResponse } from "./response.js";
+import { LINE_ENDINGS, NORMALIZATION_FORMS, normalizeText } from "../text/normalize.js";
+
+const FLAGS = ["strip_invisible", "remove_diacritics", "fold_punctuation", "collapse_whitespace", "trim_lines"];
+
+export default {
+  name: "normalize_text",
+  description:
+    "Cleans up text with composable steps: Unicode normalization (NFC, NFD, NFKC, NFKD), removing invisible and control characters, removing diacritics, folding smart punctuation to ASCII, collapsing whitespace, trimming lines and converting line endings, reporting what each step changed",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to clean up",
+      },
+      form: {
+        type: "string",
+        enum: NORMALIZATION_FORMS,
+        description:
+          "Unicode normalization form; NFKC and NFKD also expand ligatures (ﬁ), full-width and other compatibility characters",
+      },
+      strip_invisible: {
+        type: "boolean",
+        default: false,
+        description:
+          "Remove zero-width spaces, soft hyphens, bidi controls, byte order marks and control characters (keeps tabs, line breaks, ZWJ and ZWNJ)",
+      },
+      remove_diacritics: {
+        type: "boolean",
+        default: false,
+        description: "Remove accents and other diacritics (é → e, ł → l)",
+      },
+      fold_punctuation: {
+        type: "boolean",
+        default: false,
+        description: "Replace smart quotes, guillemets, dashes, ellipses and primes with ASCII equivalents",
+      },
+      collapse_whitespace: {
+        type: "boolean",
+        default: false,
+        description: "Replace each run of spaces, tabs and Unicode spaces (such as no-break spaces) with a single space",
+      },
+      trim_lines: {
+        type: "boolean",
+        default: false,
+        description: "Remove leading and trailing whitespace from every line",
+      },
+      line_endings: {
+        type: "string",
+        enum: Object.keys(LINE_ENDINGS),
+        description: "Convert every line break (including CR, CRLF and Unicode line separators) to lf, crlf or cr",
+      },
+    },
+    required: ["text"],
+  },
+  annotations: {
+    title: "Normalize Text",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const form = args?.form;
+    if (form !== undefined && !NORMALIZATION_FORMS.includes(form)) {
+      throw new Error(`Invalid form: ${form}. Expected one of: ${NORMALIZATION_FORMS.join(", ")}`);
+    }
+    const lineEndings = args?.line_endings;
+    if (lineEndings !== undefined && !Object.hasOwn(LINE_ENDINGS, lineEndings)) {
+      throw new Error(`Invalid line_endings: ${lineEndings}. Expected one of: ${Object.keys(LINE_ENDINGS).join(", ")}`);
+    }
+    const options = { form, line_endings: lineEndings };
+    for (const flag of FLAGS) {
+      options[flag] = args?.[flag] === true;
+    }
+
+    const { text: normalized, changes } = normalizeText(text, options);
+    progress?.(text.length, text.length);
+
+    return textResultResponse(
+      {
+        success: true,
+        tool: "normalize_text",
+        input_length: text.length,
+        output_length: normalized.length,
+        changed: normalized !== text,
+        total_changes: Object.values(changes).reduce((total, count) => total + count, 0),
+        changes,
+      },
+      normalized
+    );
+  },
+};
@@ -0,0 +1,120 @@
+import { jsonResponse, textResultResponse } from "./response.js";
+import { evaluateRegex, validateRegex } from "../text/regex.js";
+
+const MODES = ["test", "match_all", "replace", "split"];
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 100000;
+
+// Flags for the mode: match_all needs g (and d for group positions),
+// replace follows the caller's `all` choice over a g in `flags`
+function resolveFlags(flags, mode, all) {
+  let resolved = flags;
+  if (mode === "match_all") {
+    resolved += "gd";
+  } else if (mode === "replace") {
+    resolved = all ? `${resolved}g` : resolved.replace("g", "");
+  }
+  return [...new Set(resolved)].join("");
+}
+
+export default {
+  name: "regex",
+  description:
+    "Tests, finds (with named groups and positions), replaces (with backreferences) or splits on a JavaScript regular expression, with a time limit against catastrophic backtracking",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to search",
+      },
+      pattern: {
+        type: "string",
+        description: "JavaScript regular expression source, without slashes, e.g. (?<year>\\d{4})-(?<month>\\d{2})",
+      },
+      mode: {
+        type: "string",
+        enum: MODES,
+        default: "match_all",
+        description:
+          "test (whether it matches), match_all (every match with groups and positions, default), replace or split",
+      },
+      flags: {
+        type: "string",
+        default: "",
+        description: "Regular expression flags, e.g. i (ignore case), m (multiline), s (dot matches newlines), u (Unicode)",
+      },
+      replacement: {
+        type: "string",
+        default: "",
+        description: "Replacement for replace mode; supports $1, $<name>, $& and $$",
+      },
+      all: {
+        type: "boolean",
+        default: true,
+        description: "Replace every match (default) or only the first, even if flags include g",
+      },
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_LIMIT,
+        default: DEFAULT_LIMIT,
+        description: "Maximum matches (match_all) or parts (split) returned",
+      },
+    },
+    required: ["text", "pattern"],
+  },
+  annotations: {
+    title: "Regex",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args) => {
+    const mode = args.mode ?? "match_all";
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Expected one of: ${MODES.join(", ")}`);
+    }
+    const { pattern } = args;
+    const limit = args.limit ?? DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new Error(`Invalid limit: ${limit}. Expected an integer from 1 to ${MAX_LIMIT}`);
+    }
+    const replacement = args.replacement ?? "";
+    if (typeof replacement !== "string") {
+      throw new Error("Invalid replacement: expected a string");
+    }
+    validateRegex(pattern, args.flags ?? "");
+    const flags = resolveFlags(args.flags ?? "", mode, args.all !== false);
+
+    const outcome = evaluateRegex({ pattern, flags, text, mode, replacement, limit });
+    const envelope = { success: true, tool: "regex", input_length: text.length, mode, pattern, flags };
+
+    switch (mode) {
+      case "test":
+        return jsonResponse({
+          ...envelope,
+          ...outcome,
+          result: outcome.matched ? `Matches at index ${outcome.index}` : "No match",
+        });
+      case "match_all":
+        return jsonResponse({
+          ...envelope,
+          match_count: outcome.matches.length,
+          truncated: outcome.truncated,
+          matches: outcome.matches,
+          result: `${outcome.matches.length}${outcome.truncated ? "+" : ""} match${outcome.matches.length !== 1 ? "es" : ""}`,
+        });
+      case "replace":
+        return textResultResponse({ ...envelope, replacements: outcome.replacements }, outcome.text);
+      case "split":
+        return jsonResponse({
+          ...envelope,
+          part_count: outcome.total,
+          truncated: outcome.truncated,
+          parts: outcome.parts,
+          result: `${outcome.total} part${outcome.total !== 1 ? "s" : ""}`,
+        });
+    }
+  },
+};
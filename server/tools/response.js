@@ -0,0 +1,66 @@
+/**
+ * Tool response helpers
+ *
+ * Every tool returns a single text content block holding a JSON envelope,
+ * so clients can parse results the same way regardless of transport.
+ */
+
+import { chunkText } from "../text/chunks.js";
+
+// Results longer than this are returned as separate text content blocks
+export const RESULT_CHUNK_SIZE = 100000;
+
+/**
+ * Wrap a successful tool payload in an MCP tool result
+ */
+export function jsonResponse(payload) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(payload),
+      },
+    ],
+  };
+}
+
+/**
+ * Wrap a tool payload whose result is a (possibly very large) string.
+ * Small results stay inline as `result`; larger ones follow the envelope as
+ * separate text blocks, and the envelope reports `result_chunks` instead.
+ */
+export function textResultResponse(payload, result) {
+  if (result.length <= RESULT_CHUNK_SIZE) {
+    return jsonResponse({ ...payload, result });
+  }
+
+  const chunks = [...chunkText(result, RESULT_CHUNK_SIZE)];
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ ...payload, result_chunks: chunks.length }),
+      },
+      ...chunks.map((chunk) => ({ type: "text", text: chunk })),
+    ],
+  };
+}
+
+/**
+ * Build the structured error result returned when a tool fails
+ */
+export function errorResponse(toolName, message) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          success: false,
+          tool: toolName,
+          error: message,
+        }),
+      },
+    ],
+    isError: true,
+  };
+}
@@ -0,0 +1,40 @@
+import { textResultResponse } from "./response.js";
+import { mapChunks } from "../text/chunks.js";
+import { resolveUnit, splitUnits, unitSchema } from "../text/units.js";
+
+export default {
+  name: "reverse_text",
+  description: "Reverses the order of characters (graphemes by default) in the given text",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to reverse",
+      },
+      unit: unitSchema,
+    },
+    required: ["text"],
+  },
+  annotations: {
+    title: "Reverse Text",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const unit = resolveUnit(args?.unit);
+    // Reverse each chunk, then the order of the chunks (chunks never split a grapheme)
+    const reversed = mapChunks(text, (chunk) => splitUnits(chunk, unit).reverse().join(""), progress)
+      .reverse()
+      .join("");
+    return textResultResponse(
+      {
+        success: true,
+        tool: "reverse_text",
+        input_length: text.length,
+        unit,
+      },
+      reversed
+    );
+  },
+};
@@ -0,0 +1,168 @@
+import { textResultResponse } from "./response.js";
+import { resolveUnit, splitUnits, unitSchema } from "../text/units.js";
+import { segmentText } from "../text/segments.js";
+import { createRandom, resolveSeed, seedSchema, shuffleArray } from "../text/random.js";
+
+const GRANULARITIES = ["character", "word", "line", "sentence"];
+
+/**
+ * Shuffle the movable items among their own positions, leaving the rest in place
+ */
+function shuffleInPlace(items, isMovable, random, progress) {
+  const positions = [];
+  for (let i = 0; i < items.length; i++) {
+    if (isMovable(items[i])) {
+      positions.push(i);
+    }
+  }
+  const shuffled = shuffleArray(positions.map((i) => items[i]), random, progress);
+  positions.forEach((position, i) => {
+    items[position] = shuffled[i];
+  });
+  return items;
+}
+
+/**
+ * Shuffle the letters of each word, optionally keeping its first and last letter
+ */
+function shuffleWithinWords(text, unit, keepWordEnds, random) {
+  return Array.from(segmentText(text, "word"), ({ segment, isWordLike }) => {
+    if (!isWordLike) {
+      return segment;
+    }
+    const letters = splitUnits(segment, unit);
+    if (!keepWordEnds) {
+      return shuffleArray(letters, random).join("");
+    }
+    if (letters.length <= 3) {
+      return segment;
+    }
+    const inner = shuffleArray(letters.slice(1, -1), random);
+    return [letters[0], ...inner, letters[letters.length - 1]].join("");
+  }).join("");
+}
+
+/**
+ * Split sentences from their trailing whitespace so spacing stays put
+ */
+function sentenceParts(text) {
+  const parts = [];
+  for (const { segment } of segmentText(text, "sentence")) {
+    const [, sentence, space] = segment.match(/^([\s\S]*?)(\s*)$/);
+    parts.push({ text: sentence }, { text: space });
+  }
+  return parts;
+}
+
+function shuffleText(text, options, random, progress) {
+  const { granularity, unit, withinWords, keepWordEnds } = options;
+
+  switch (granularity) {
+    case "character":
+      if (withinWords || keepWordEnds) {
+        return shuffleWithinWords(text, unit, keepWordEnds, random);
+      }
+      return shuffleArray(splitUnits(text, unit), random, progress).join("");
+    case "word":
+      return shuffleInPlace(
+        Array.from(segmentText(text, "word")),
+        ({ isWordLike }) => isWordLike,
+        random,
+        progress
+      )
+        .map(({ segment }) => segment)
+        .join("");
+    case "line":
+      // Odd indexes hold the line breaks, which stay where they are
+      return shuffleInPlace(
+        text.split(/(\r?\n)/).map((part, i) => ({ part, isLine: i % 2 === 0 })),
+        ({ isLine }) => isLine,
+        random,
+        progress
+      )
+        .map(({ part }) => part)
+        .join("");
+    case "sentence":
+      return shuffleInPlace(sentenceParts(text), (part) => /\S/.test(part.text), random, progress)
+        .map((part) => part.text)
+        .join("");
+  }
+}
+
+export default {
+  name: "shuffle_text",
+  description:
+    "Randomly shuffles the characters, words, lines or sentences in the given text using Fisher-Yates algorithm, optionally seeded for reproducible results",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to shuffle",
+      },
+      seed: seedSchema,
+      granularity: {
+        type: "string",
+        enum: GRANULARITIES,
+        default: "character",
+        description: "What to shuffle: character (default), word, line or sentence",
+      },
+      unit: {
+        ...unitSchema,
+        description:
+          "Character unit when granularity is character: grapheme (user-perceived characters, default), code_point or code_unit",
+      },
+      within_words: {
+        type: "boolean",
+        default: false,
+        description: "Shuffle characters only within each word, leaving words and spacing in place",
+      },
+      keep_word_ends: {
+        type: "boolean",
+        default: false,
+        description: "Shuffle characters within each word but keep its first and last letter fixed",
+      },
+    },
+    required: ["text"],
+  },
+  annotations: {
+    title: "Shuffle Text",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const granularity = args?.granularity ?? "character";
+    if (!GRANULARITIES.includes(granularity)) {
+      throw new Error(`Invalid granularity: ${granularity}. Expected one of: ${GRANULARITIES.join(", ")}`);
+    }
+    const withinWords = args?.within_words === true;
+    const keepWordEnds = args?.keep_word_ends === true;
+    if ((withinWords || keepWordEnds) && granularity !== "character") {
+      throw new Error("within_words and keep_word_ends require granularity: character");
+    }
+    const unit = resolveUnit(args?.unit);
+    const seed = resolveSeed(args?.seed);
+
+    // Report swaps as a share of the input so the total is always its length
+    const reportSwaps = progress && ((done, total) => progress(Math.floor((done / total) * text.length), text.length));
+    const shuffled = shuffleText(
+      text,
+      { granularity, unit, withinWords, keepWordEnds },
+      createRandom(seed),
+      reportSwaps
+    );
+    progress?.(text.length, text.length);
+
+    return textResultResponse(
+      {
+        success: true,
+        tool: "shuffle_text",
+        input_length: text.length,
+        granularity,
+        ...(granularity === "character" && { unit }),
+        seed,
+      },
+      shuffled
+    );
+  },
+};
@@ -0,0 +1,119 @@
+import { textResultResponse } from "./response.js";
+import { localeSchema, resolveLocale } from "../text/locale.js";
+import { DEFAULT_SEPARATOR, slugify } from "../text/slug.js";
+
+const MAX_SEPARATOR_LENGTH = 3;
+const MAX_REPLACEMENTS = 1000;
+
+function resolveReplacements(replacements) {
+  if (replacements === undefined || replacements === null) {
+    return {};
+  }
+  if (typeof replacements !== "object" || Array.isArray(replacements)) {
+    throw new Error("Invalid replacements: expected an object mapping text to its replacement");
+  }
+  const entries = Object.entries(replacements);
+  if (entries.length > MAX_REPLACEMENTS) {
+    throw new Error(`Invalid replacements: ${entries.length} entries exceeds maximum of ${MAX_REPLACEMENTS}`);
+  }
+  for (const [from, to] of entries) {
+    if (from === "" || typeof to !== "string") {
+      throw new Error(`Invalid replacements: "${from}" must be non-empty and map to a string`);
+    }
+  }
+  return replacements;
+}
+
+export default {
+  name: "slugify",
+  description:
+    "Turns text into a URL, filename or identifier slug, transliterating Cyrillic, Greek, Chinese (Pinyin), Japanese kana, Korean and accented Latin letters to ASCII",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text (e.g. a title) to slugify",
+      },
+      separator: {
+        type: "string",
+        default: DEFAULT_SEPARATOR,
+        description: "Separator between words, e.g. - or _ (1 to 3 characters, no letters or digits)",
+      },
+      max_length: {
+        type: "integer",
+        minimum: 1,
+        description: "Maximum slug length; longer slugs are cut at the last word boundary that fits",
+      },
+      lowercase: {
+        type: "boolean",
+        default: true,
+        description: "Lowercase the slug",
+      },
+      replacements: {
+        type: "object",
+        additionalProperties: { type: "string" },
+        description: 'Custom replacements applied before transliteration, e.g. {"&": "and", "C++": "cpp"}',
+      },
+      locale: {
+        ...localeSchema,
+        description:
+          "Language of the text for national transliteration rules: de (ä → ae, ö → oe, ü → ue), uk, bg or sr; ja and ko leave Han characters (kanji, hanja) untransliterated",
+      },
+    },
+    required: ["text"],
+  },
+  annotations: {
+    title: "Slugify",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const separator = args?.separator ?? DEFAULT_SEPARATOR;
+    if (
+      typeof separator !== "string" ||
+      separator.length < 1 ||
+      separator.length > MAX_SEPARATOR_LENGTH ||
+      /[A-Za-z0-9]/.test(separator)
+    ) {
+      throw new Error(
+        `Invalid separator: ${separator}. Expected 1 to ${MAX_SEPARATOR_LENGTH} characters without letters or digits`
+      );
+    }
+    const maxLength = args?.max_length;
+    if (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 1)) {
+      throw new Error(`Invalid max_length: ${maxLength}. Expected a positive integer`);
+    }
+    const replacements = resolveReplacements(args?.replacements);
+    const locale = resolveLocale(args?.locale);
+
+    const { slug, truncated, unmapped } = slugify(text, {
+      separator,
+      maxLength,
+      lowercase: args?.lowercase !== false,
+      replacements,
+      language: locale && new Intl.Locale(locale).language,
+    });
+    // An empty slug would silently collide with every other empty one
+    if (slug === "" && text.trim() !== "") {
+      throw new Error(
+        "Cannot build a slug: the text has no letters or digits that can be transliterated" +
+          (unmapped.length > 0 ? ` (unmapped: ${unmapped.join(" ")})` : "")
+      );
+    }
+    progress?.(text.length, text.length);
+
+    return textResultResponse(
+      {
+        success: true,
+        tool: "slugify",
+        input_length: text.length,
+        ...(locale && { locale }),
+        length: slug.length,
+        truncated,
+        unmapped_characters: unmapped,
+      },
+      slug
+    );
+  },
+};
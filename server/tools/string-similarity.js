@@ -0,0 +1,224 @@
+import { jsonResponse } from "./response.js";
+import { splitUnits } from "../text/units.js";
+import { localeSchema, resolveLocale, toLower } from "../text/locale.js";
+import {
+  cosineNgrams,
+  damerauLevenshtein,
+  distanceSimilarity,
+  jaro,
+  jaroWinkler,
+  levenshtein,
+  longestCommonSubsequence,
+} from "../text/similarity.js";
+
+const MODES = ["compare", "best_match"];
+
+// Edit distances and LCS take time and memory proportional to the product
+// of the string lengths, so cap it per comparison
+const MAX_COMPARISON_CELLS = 25000000;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Similarity in [0, 1] for each metric best_match can rank by
+const METRICS = {
+  levenshtein: (a, b) => distanceSimilarity(levenshtein(a, b), a, b),
+  damerau_levenshtein: (a, b) => distanceSimilarity(damerauLevenshtein(a, b), a, b),
+  jaro_winkler: (a, b) => jaroWinkler(a, b),
+  lcs: (a, b) => (a.length + b.length === 0 ? 1 : (2 * longestCommonSubsequence(a, b)) / (a.length + b.length)),
+  cosine: (a, b, { ngramSize }) => cosineNgrams(a, b, ngramSize),
+};
+
+// Cosine needs no table, so only the other metrics are limited
+function checkSize(a, b, metrics) {
+  if (metrics.some((metric) => metric !== "cosine") && a.length * b.length > MAX_COMPARISON_CELLS) {
+    throw new Error(
+      `Strings too long to compare (${a.length} × ${b.length} characters exceeds ${MAX_COMPARISON_CELLS}); ` +
+        "use metric: cosine or the text_diff tool for long texts"
+    );
+  }
+}
+
+function compare(a, b, options) {
+  checkSize(a, b, Object.keys(METRICS));
+  const levenshteinDistance = levenshtein(a, b);
+  const damerauDistance = damerauLevenshtein(a, b);
+  const lcsLength = longestCommonSubsequence(a, b);
+  return {
+    levenshtein: {
+      distance: levenshteinDistance,
+      similarity: round(distanceSimilarity(levenshteinDistance, a, b)),
+    },
+    damerau_levenshtein: {
+      distance: damerauDistance,
+      similarity: round(distanceSimilarity(damerauDistance, a, b)),
+    },
+    jaro: { similarity: round(jaro(a, b)) },
+    jaro_winkler: { similarity: round(jaroWinkler(a, b)) },
+    lcs: {
+      length: lcsLength,
+      similarity: round(METRICS.lcs(a, b)),
+    },
+    cosine: {
+      ngram_size: options.ngramSize,
+      similarity: round(cosineNgrams(a, b, options.ngramSize)),
+    },
+  };
+}
+
+function resolveOptions(args) {
+  const mode = args.mode ?? "compare";
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid mode: ${mode}. Expected one of: ${MODES.join(", ")}`);
+  }
+  const metric = args.metric ?? "jaro_winkler";
+  if (!Object.hasOwn(METRICS, metric)) {
+    throw new Error(`Invalid metric: ${metric}. Expected one of: ${Object.keys(METRICS).join(", ")}`);
+  }
+  const ngramSize = args.ngram_size ?? 2;
+  if (!Number.isInteger(ngramSize) || ngramSize < 1) {
+    throw new Error(`Invalid ngram_size: ${ngramSize}. Expected a positive integer`);
+  }
+  const limit = args.limit ?? 5;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid limit: ${limit}. Expected a positive integer`);
+  }
+  const threshold = args.threshold ?? 0;
+  if (typeof threshold !== "number" || threshold < 0 || threshold > 1) {
+    throw new Error(`Invalid threshold: ${threshold}. Expected a number from 0 to 1`);
+  }
+  return {
+    mode,
+    metric,
+    ngramSize,
+    limit,
+    threshold,
+    locale: resolveLocale(args.locale),
+    caseInsensitive: args.case_insensitive === true,
+  };
+}
+
+export default {
+  name: "string_similarity",
+  description:
+    "Measures how similar two strings are (Levenshtein, Damerau-Levenshtein, Jaro-Winkler, longest common subsequence, n-gram cosine) or ranks candidates by similarity to a query",
+  inputSchema: {
+    type: "object",
+    properties: {
+      query: {
+        type: "string",
+        description: "The string to compare or to find matches for",
+      },
+      target: {
+        type: "string",
+        description: "The string to compare the query with (compare mode)",
+      },
+      candidates: {
+        type: "array",
+        items: { type: "string" },
+        description: "Strings to rank by similarity to the query (best_match mode)",
+      },
+      mode: {
+        type: "string",
+        enum: MODES,
+        default: "compare",
+        description: "compare (default) scores query against target with every metric; best_match ranks candidates",
+      },
+      metric: {
+        type: "string",
+        enum: Object.keys(METRICS),
+        default: "jaro_winkler",
+        description: "Similarity used to rank candidates in best_match mode",
+      },
+      ngram_size: {
+        type: "integer",
+        minimum: 1,
+        default: 2,
+        description: "Character n-gram size for cosine similarity",
+      },
+      limit: {
+        type: "integer",
+        minimum: 1,
+        default: 5,
+        description: "Maximum matches returned in best_match mode",
+      },
+      threshold: {
+        type: "number",
+        minimum: 0,
+        maximum: 1,
+        default: 0,
+        description: "Minimum score for a match in best_match mode",
+      },
+      case_insensitive: {
+        type: "boolean",
+        default: false,
+        description: "Ignore case when comparing",
+      },
+      locale: {
+        ...localeSchema,
+        description: "BCP 47 locale tag for case folding, e.g. tr",
+      },
+    },
+    required: ["query"],
+  },
+  inputs: ["query", "target", { name: "candidates", array: true }],
+  annotations: {
+    title: "String Similarity",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (query, args, { progress } = {}) => {
+    const options = resolveOptions(args);
+    const characters = (text) => splitUnits(options.caseInsensitive ? toLower(text, options.locale) : text);
+    const queryCharacters = characters(query);
+
+    if (options.mode === "compare") {
+      const { target } = args;
+      if (typeof target !== "string") {
+        throw new Error("Missing target: compare mode needs a target string to compare the query with");
+      }
+      const scores = compare(queryCharacters, characters(target), options);
+      return jsonResponse({
+        success: true,
+        tool: "string_similarity",
+        mode: "compare",
+        query_length: query.length,
+        target_length: target.length,
+        ...scores,
+        result:
+          `Levenshtein distance ${scores.levenshtein.distance} (similarity ${scores.levenshtein.similarity}), ` +
+          `Jaro-Winkler ${scores.jaro_winkler.similarity}`,
+      });
+    }
+
+    // best_match: score every candidate, then keep the best
+    const { candidates } = args;
+    if (!Array.isArray(candidates)) {
+      throw new Error("Missing candidates: best_match mode needs an array of candidate strings to rank");
+    }
+    const total = candidates.reduce((sum, candidate) => sum + candidate.length, 0);
+    let processed = 0;
+    const scored = candidates.map((candidate, index) => {
+      const candidateCharacters = characters(candidate);
+      checkSize(queryCharacters, candidateCharacters, [options.metric]);
+      const score = METRICS[options.metric](queryCharacters, candidateCharacters, options);
+      processed += candidate.length;
+      progress?.(processed, total);
+      return { candidate, index, score: round(score) };
+    });
+    const matches = scored
+      .filter(({ score }) => score >= options.threshold)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, options.limit);
+
+    return jsonResponse({
+      success: true,
+      tool: "string_similarity",
+      mode: "best_match",
+      metric: options.metric,
+      query_length: query.length,
+      candidate_count: candidates.length,
+      matches,
+      result: matches.length > 0 ? `Best match: ${matches[0].candidate} (${matches[0].score})` : "No matches",
+    });
+  },
+};
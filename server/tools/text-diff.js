@@ -0,0 +1,90 @@
+import { textResultResponse } from "./response.js";
+import { DIFF_GRANULARITIES, diffTexts, inlineDiff, unifiedDiff } from "../text/diff.js";
+
+const DEFAULT_CONTEXT = 3;
+
+// Words are counted without the whitespace between them
+function countTokens(tokens, granularity) {
+  if (granularity !== "word") {
+    return tokens.length;
+  }
+  return tokens.filter((token) => !/^\s+$/.test(token)).length;
+}
+
+export default {
+  name: "text_diff",
+  description:
+    "Compares two texts and returns a unified line diff or an inline word or character diff, with insertion and deletion counts and a similarity ratio",
+  inputSchema: {
+    type: "object",
+    properties: {
+      original: {
+        type: "string",
+        description: "The original text",
+      },
+      modified: {
+        type: "string",
+        description: "The modified text to compare against the original",
+      },
+      granularity: {
+        type: "string",
+        enum: DIFF_GRANULARITIES,
+        default: "line",
+        description:
+          "line (default) returns a unified diff; word and character return the text with changes marked inline as [-deleted-] and {+inserted+}",
+      },
+      context: {
+        type: "integer",
+        minimum: 0,
+        default: DEFAULT_CONTEXT,
+        description: "Unchanged lines shown around each change in a line diff",
+      },
+    },
+    required: ["original", "modified"],
+  },
+  inputs: ["original", "modified"],
+  annotations: {
+    title: "Text Diff",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const { original, modified = "" } = args;
+    const granularity = args.granularity ?? "line";
+    if (!DIFF_GRANULARITIES.includes(granularity)) {
+      throw new Error(`Invalid granularity: ${granularity}. Expected one of: ${DIFF_GRANULARITIES.join(", ")}`);
+    }
+    const context = args.context ?? DEFAULT_CONTEXT;
+    if (!Number.isInteger(context) || context < 0) {
+      throw new Error(`Invalid context: ${context}. Expected a non-negative integer`);
+    }
+
+    const { changes, minimal } = diffTexts(original, modified, granularity, { progress });
+
+    const counts = { equal: 0, delete: 0, insert: 0 };
+    for (const { type, tokens } of changes) {
+      counts[type] += countTokens(tokens, granularity);
+    }
+    // Matching tokens as a share of all tokens in both texts, like difflib
+    const total = 2 * counts.equal + counts.delete + counts.insert;
+    const similarity = total === 0 ? 1 : Math.round(((2 * counts.equal) / total) * 10000) / 10000;
+
+    const diff = granularity === "line" ? unifiedDiff(changes, { context }) : inlineDiff(changes);
+    return textResultResponse(
+      {
+        success: true,
+        tool: "text_diff",
+        original_length: original.length,
+        modified_length: modified.length,
+        granularity,
+        identical: original === modified,
+        insertions: counts.insert,
+        deletions: counts.delete,
+        similarity,
+        // False when the input was too different to find a minimal diff in time
+        minimal,
+      },
+      diff
+    );
+  },
+};
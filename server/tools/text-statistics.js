@@ -0,0 +1,116 @@
+import { jsonResponse } from "./response.js";
+import { localeSchema, resolveLocale, toLower } from "../text/locale.js";
+import { countSyllables, fleschDescription, readabilityScores, round } from "../text/readability.js";
+import { STOPWORDS } from "../text/stopwords.js";
+import { splitParagraphs, splitSentences, splitWords } from "../text/words.js";
+
+// Typical adult silent reading and presentation speaking rates
+const READING_WPM = 238;
+const SPEAKING_WPM = 150;
+
+// "45 seconds", "3 minutes"
+function formatDuration(seconds) {
+  if (seconds < 60) {
+    return `${Math.round(seconds)} second${Math.round(seconds) !== 1 ? "s" : ""}`;
+  }
+  const minutes = Math.round(seconds / 60);
+  return `${minutes} minute${minutes !== 1 ? "s" : ""}`;
+}
+
+function wpmSchema(description, defaultValue) {
+  return { type: "number", exclusiveMinimum: 0, default: defaultValue, description };
+}
+
+function resolveWpm(value, name, defaultValue) {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+  if (typeof value !== "number" || !(value > 0)) {
+    throw new Error(`Invalid ${name}: ${value}. Expected a positive number`);
+  }
+  return value;
+}
+
+export default {
+  name: "text_statistics",
+  description:
+    "Computes document statistics and readability scores (Flesch Reading Ease, Flesch-Kincaid, Gunning Fog, SMOG, Coleman-Liau), lexical density and estimated reading and speaking time",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to analyze",
+      },
+      locale: {
+        ...localeSchema,
+        description:
+          "BCP 47 locale tag hinting the text's language for word and sentence segmentation. Readability formulas are calibrated for English",
+      },
+      reading_wpm: wpmSchema("Reading speed in words per minute for the reading time estimate", READING_WPM),
+      speaking_wpm: wpmSchema("Speaking speed in words per minute for the speaking time estimate", SPEAKING_WPM),
+    },
+    required: ["text"],
+  },
+  annotations: {
+    title: "Text Statistics",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const locale = resolveLocale(args?.locale);
+    const readingWpm = resolveWpm(args?.reading_wpm, "reading_wpm", READING_WPM);
+    const speakingWpm = resolveWpm(args?.speaking_wpm, "speaking_wpm", SPEAKING_WPM);
+
+    const words = splitWords(text, locale, progress);
+    const sentences = splitSentences(text, locale).length;
+
+    let syllables = 0;
+    let polysyllables = 0;
+    let letters = 0;
+    let contentWords = 0;
+    const stopwords = STOPWORDS.en;
+    for (const word of words) {
+      const wordSyllables = countSyllables(word);
+      syllables += wordSyllables;
+      if (wordSyllables >= 3) {
+        polysyllables++;
+      }
+      letters += word.match(/[\p{L}\p{N}]/gu)?.length ?? 0;
+      if (!stopwords.has(toLower(word, locale)) && !/^\p{N}+$/u.test(word)) {
+        contentWords++;
+      }
+    }
+
+    const wordCount = words.length;
+    const readability = readabilityScores({ words: wordCount, sentences, syllables, letters, polysyllables });
+    const readingSeconds = Math.round((wordCount / readingWpm) * 60);
+    const speakingSeconds = Math.round((wordCount / speakingWpm) * 60);
+
+    const result = readability
+      ? `Flesch Reading Ease ${readability.flesch_reading_ease} (${fleschDescription(readability.flesch_reading_ease)}), ` +
+        `grade ${readability.flesch_kincaid_grade}; ${formatDuration(readingSeconds)} to read, ` +
+        `${formatDuration(speakingSeconds)} to speak`
+      : "No words to analyze";
+
+    return jsonResponse({
+      success: true,
+      tool: "text_statistics",
+      input_length: text.length,
+      ...(locale && { locale }),
+      words: wordCount,
+      sentences,
+      paragraphs: splitParagraphs(text).length,
+      syllables,
+      polysyllabic_words: polysyllables,
+      average_sentence_length: sentences > 0 ? round(wordCount / sentences) : 0,
+      average_word_length: wordCount > 0 ? round(letters / wordCount) : 0,
+      average_syllables_per_word: wordCount > 0 ? round(syllables / wordCount) : 0,
+      lexical_density: wordCount > 0 ? round((contentWords / wordCount) * 100) : 0,
+      readability,
+      reading_time_seconds: readingSeconds,
+      speaking_time_seconds: speakingSeconds,
+      result,
+    });
+  },
+};
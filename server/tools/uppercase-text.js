@@ -0,0 +1,40 @@
+import { textResultResponse } from "./response.js";
+import { mapChunks } from "../text/chunks.js";
+import { localeSchema, resolveLocale, toUpper } from "../text/locale.js";
+
+export default {
+  name: "uppercase_text",
+  description: "Converts text to uppercase",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to convert to uppercase",
+      },
+      locale: {
+        ...localeSchema,
+        description: "BCP 47 locale tag for language-specific casing, e.g. tr for dotted and dotless i",
+      },
+    },
+    required: ["text"],
+  },
+  annotations: {
+    title: "Uppercase Text",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const locale = resolveLocale(args?.locale);
+    const uppercased = mapChunks(text, (chunk) => toUpper(chunk, locale), progress).join("");
+    return textResultResponse(
+      {
+        success: true,
+        tool: "uppercase_text",
+        input_length: text.length,
+        ...(locale && { locale }),
+      },
+      uppercased
+    );
+  },
+};
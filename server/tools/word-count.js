@@ -0,0 +1,112 @@
+import { jsonResponse } from "./response.js";
+import { mapChunks } from "../text/chunks.js";
+import { localeSchema, resolveLocale, toLower } from "../text/locale.js";
+import {
+  countLines,
+  isNumber,
+  removeIgnored,
+  splitParagraphs,
+  splitSentences,
+  splitWords,
+} from "../text/words.js";
+
+const MODES = ["segmenter", "whitespace"];
+
+/**
+ * Legacy count of whitespace-separated tokens
+ */
+function whitespaceWords(text, progress) {
+  // Chunks normally end on whitespace; when one splits a very long word,
+  // don't count that word twice
+  const words = [];
+  let previousEndsInWord = false;
+  mapChunks(
+    text,
+    (chunk) => {
+      const chunkWords = chunk.trim().split(/\s+/).filter((word) => word.length > 0);
+      if (previousEndsInWord && /^\S/.test(chunk)) {
+        words[words.length - 1] += chunkWords.shift();
+      }
+      previousEndsInWord = /\S$/.test(chunk);
+      words.push(...chunkWords);
+    },
+    progress
+  );
+  return words;
+}
+
+export default {
+  name: "word_count",
+  description:
+    "Counts the words in the given text using Unicode word segmentation, with sentence, paragraph, line and unique word counts",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to count words in",
+      },
+      locale: {
+        ...localeSchema,
+        description: "BCP 47 locale tag hinting the text's language for word and sentence segmentation, e.g. ja or th",
+      },
+      mode: {
+        type: "string",
+        enum: MODES,
+        default: "segmenter",
+        description:
+          "segmenter (default) counts words with Unicode word segmentation; whitespace counts whitespace-separated tokens like earlier versions",
+      },
+      ignore_numbers: {
+        type: "boolean",
+        default: false,
+        description: "Don't count numbers such as 42 or 3.14 as words",
+      },
+      ignore_urls: {
+        type: "boolean",
+        default: false,
+        description: "Don't count URLs",
+      },
+      ignore_code: {
+        type: "boolean",
+        default: false,
+        description: "Don't count Markdown code blocks and inline code",
+      },
+    },
+    required: ["text"],
+  },
+  annotations: {
+    title: "Word Count",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const mode = args?.mode ?? "segmenter";
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Expected one of: ${MODES.join(", ")}`);
+    }
+    const locale = resolveLocale(args?.locale);
+
+    const counted = removeIgnored(text, { code: args?.ignore_code === true, urls: args?.ignore_urls === true });
+    let words = mode === "whitespace" ? whitespaceWords(counted, progress) : splitWords(counted, locale, progress);
+    if (args?.ignore_numbers === true) {
+      words = words.filter((word) => !isNumber(word));
+    }
+
+    const count = words.length;
+    const uniqueWords = new Set(words.map((word) => toLower(word, locale))).size;
+    return jsonResponse({
+      success: true,
+      tool: "word_count",
+      input_length: text.length,
+      mode,
+      ...(locale && { locale }),
+      word_count: count,
+      unique_words: uniqueWords,
+      sentences: splitSentences(counted, locale).length,
+      paragraphs: splitParagraphs(counted).length,
+      lines: countLines(text),
+      result: `${count} word${count !== 1 ? "s" : ""}`,
+    });
+  },
+};
@@ -0,0 +1,234 @@
+import { jsonResponse } from "./response.js";
+import { CHUNK_SIZE } from "../text/chunks.js";
+import { localeSchema, resolveLocale, toLower } from "../text/locale.js";
+import { segmentText } from "../text/segments.js";
+import { STEM_LANGUAGES, stem } from "../text/stem.js";
+import { STOPWORDS, STOPWORD_LANGUAGES } from "../text/stopwords.js";
+import { isNumber } from "../text/words.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 1000;
+
+// Punctuation that ends a phrase; n-grams never span it
+const PHRASE_BREAK = /[.!?;:()\[\]{}"“”«»。！？；：\n]/;
+
+/**
+ * Words in order, with a null marker wherever a phrase ends
+ */
+function phraseWords(text, locale, progress) {
+  const words = [];
+  let nextReport = CHUNK_SIZE;
+  for (const { segment, index, isWordLike } of segmentText(text, "word", locale)) {
+    if (isWordLike) {
+      words.push(segment);
+    } else if (PHRASE_BREAK.test(segment) && words[words.length - 1] !== null) {
+      words.push(null);
+    }
+    if (index >= nextReport) {
+      progress?.(index, text.length);
+      nextReport = index + CHUNK_SIZE;
+    }
+  }
+  progress?.(text.length, text.length);
+  return words;
+}
+
+/**
+ * Count entries and return the top `limit` with at least `minFrequency`
+ * occurrences, most frequent first (ties alphabetically)
+ */
+function topCounts(counts, { minFrequency, limit }) {
+  return [...counts]
+    .filter(([, count]) => count >= minFrequency)
+    .sort(([a, countA], [b, countB]) => countB - countA || (a < b ? -1 : a > b ? 1 : 0))
+    .slice(0, limit);
+}
+
+function increment(counts, key) {
+  counts.set(key, (counts.get(key) ?? 0) + 1);
+}
+
+function resolveOptions(args, locale) {
+  // A language taken from the locale may have no stopword list; it then
+  // gets an empty one, so any text can be analyzed
+  const language = args?.language ?? (locale ? new Intl.Locale(locale).language : "en");
+  if (args?.language !== undefined && !STOPWORD_LANGUAGES.includes(language)) {
+    throw new Error(`Invalid language: ${language}. Expected one of: ${STOPWORD_LANGUAGES.join(", ")}`);
+  }
+  const limit = args?.limit ?? DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`Invalid limit: ${limit}. Expected an integer from 1 to ${MAX_LIMIT}`);
+  }
+  const minFrequency = args?.min_frequency ?? 1;
+  if (!Number.isInteger(minFrequency) || minFrequency < 1) {
+    throw new Error(`Invalid min_frequency: ${minFrequency}. Expected a positive integer`);
+  }
+  const stemming = args?.stem === true;
+  if (stemming && !STEM_LANGUAGES.includes(language)) {
+    throw new Error(`Stemming is not available for language: ${language}. Supported: ${STEM_LANGUAGES.join(", ")}`);
+  }
+  return {
+    language,
+    limit,
+    minFrequency,
+    stemming,
+    caseInsensitive: args?.case_insensitive !== false,
+    removeStopwords: args?.remove_stopwords === true,
+  };
+}
+
+export default {
+  name: "word_frequency",
+  description:
+    "Finds the most frequent words, bigrams and trigrams in the given text and scores keywords by term frequency, with stopword lists for several languages",
+  inputSchema: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "The text to analyze",
+      },
+      locale: {
+        ...localeSchema,
+        description: "BCP 47 locale tag for word segmentation and case folding; also picks the stopword language",
+      },
+      language: {
+        type: "string",
+        enum: STOPWORD_LANGUAGES,
+        description:
+          "Stopword language (defaults to the locale's language, or en; a locale language without a list uses no stopwords)",
+      },
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_LIMIT,
+        default: DEFAULT_LIMIT,
+        description: "Maximum entries returned per list",
+      },
+      min_frequency: {
+        type: "integer",
+        minimum: 1,
+        default: 1,
+        description: "Leave out words and n-grams occurring fewer times than this",
+      },
+      case_insensitive: {
+        type: "boolean",
+        default: true,
+        description: "Fold case so that The and the count as one word",
+      },
+      stem: {
+        type: "boolean",
+        default: false,
+        description: "Count words with the same stem together, e.g. connect, connected and connection (English only)",
+      },
+      remove_stopwords: {
+        type: "boolean",
+        default: false,
+        description: "Leave stopwords out of the word list and n-grams that start or end with one. Keywords never include stopwords",
+      },
+    },
+    required: ["text"],
+  },
+  annotations: {
+    title: "Word Frequency",
+    readOnlyHint: true,
+    openWorldHint: false,
+  },
+  handler: (text, args, { progress } = {}) => {
+    const locale = resolveLocale(args?.locale);
+    const options = resolveOptions(args, locale);
+    const stopwords = STOPWORDS[options.language] ?? new Set();
+    const isStopword = (word) => stopwords.has(toLower(word, locale));
+
+    // Map each word to the term it is counted under, remembering the most
+    // frequent surface form of each term
+    const surfaceForms = new Map();
+    const termOf = (word) => {
+      const folded = options.caseInsensitive ? toLower(word, locale) : word;
+      const term = options.stemming ? stem(toLower(word, locale), options.language) : folded;
+      let forms = surfaceForms.get(term);
+      if (!forms) {
+        forms = new Map();
+        surfaceForms.set(term, forms);
+      }
+      increment(forms, folded);
+      return term;
+    };
+    const displayForm = (term) => {
+      const forms = surfaceForms.get(term);
+      return topCounts(forms, { minFrequency: 1, limit: 1 })[0][0];
+    };
+
+    const words = phraseWords(text, locale, progress);
+    const terms = words.map((word) => (word === null ? null : termOf(word)));
+
+    const wordCounts = new Map();
+    const keywordCounts = new Map();
+    const bigramCounts = new Map();
+    const trigramCounts = new Map();
+    let totalWords = 0;
+
+    for (let i = 0; i < terms.length; i++) {
+      const term = terms[i];
+      if (term === null) {
+        continue;
+      }
+      totalWords++;
+      const stopword = isStopword(words[i]);
+      if (!stopword || !options.removeStopwords) {
+        increment(wordCounts, term);
+      }
+      if (!stopword && !isNumber(words[i]) && [...words[i]].length > 1) {
+        increment(keywordCounts, term);
+      }
+
+      // N-grams ending at this word, skipping ones that span a phrase break
+      // or (when removing stopwords) start or end with a stopword
+      for (const [n, counts] of [[2, bigramCounts], [3, trigramCounts]]) {
+        const gram = terms.slice(i - n + 1, i + 1);
+        if (i - n + 1 < 0 || gram.includes(null)) {
+          continue;
+        }
+        if (options.removeStopwords && (stopword || isStopword(words[i - n + 1]))) {
+          continue;
+        }
+        increment(counts, gram.join(" "));
+      }
+    }
+
+    const ngramList = (counts) =>
+      topCounts(counts, options).map(([gram, count]) => ({
+        ngram: gram.split(" ").map(displayForm).join(" "),
+        count,
+      }));
+
+    const maxKeywordCount = Math.max(0, ...keywordCounts.values());
+    const topWords = topCounts(wordCounts, options).map(([term, count]) => ({
+      word: displayForm(term),
+      count,
+      frequency: Math.round((count / totalWords) * 10000) / 10000,
+    }));
+
+    return jsonResponse({
+      success: true,
+      tool: "word_frequency",
+      input_length: text.length,
+      language: options.language,
+      ...(locale && { locale }),
+      total_words: totalWords,
+      unique_words: wordCounts.size,
+      words: topWords,
+      bigrams: ngramList(bigramCounts),
+      trigrams: ngramList(trigramCounts),
+      // Term frequency normalized to the most frequent keyword
+      keywords: topCounts(keywordCounts, options).map(([term, count]) => ({
+        word: displayForm(term),
+        count,
+        score: Math.round((count / maxKeywordCount) * 10000) / 10000,
+      })),
+      result: topWords.length > 0
+        ? `Most frequent: ${topWords.slice(0, 5).map(({ word, count }) => `${word} (${count})`).join(", ")}`
+        : "No words found",
+    });
+  },
+};
@@ -0,0 +1,168 @@
+/**
+ * Worker thread pool
+ *
+ * Runs tasks in worker_threads so that a slow synchronous tool cannot block
+ * the event loop. A worker whose task times out or is cancelled is
+ * terminated (stopping the work mid-flight) and replaced on the next task.
+ *
+ * Workers receive `{ id, task }` and reply with `{ id, result }` or
+ * `{ id, error }`, optionally preceded by `{ id, progress }` updates.
+ */
+
+import { Worker } from "node:worker_threads";
+
+/**
+ * Error raised when a task exceeds its execution time limit
+ */
+export class ToolTimeoutError extends Error {
+  constructor(toolName, timeoutMs) {
+    super(`Tool ${toolName} timed out after ${timeoutMs}ms`);
+    this.name = "ToolTimeoutError";
+  }
+}
+
+/**
+ * Error raised when a task is cancelled by the client
+ */
+export class ToolCancelledError extends Error {
+  constructor(toolName) {
+    super(`Tool ${toolName} was cancelled`);
+    this.name = "ToolCancelledError";
+  }
+}
+
+/**
+ * Create a pool of up to `size` workers running `workerUrl`
+ */
+export function createWorkerPool({ workerUrl, size }) {
+  const idle = [];
+  const queue = [];
+  let workerCount = 0;
+  let nextId = 1;
+
+  function spawnWorker() {
+    const worker = new Worker(workerUrl);
+    // Idle workers should not keep the process alive
+    worker.unref();
+    workerCount++;
+    return worker;
+  }
+
+  // Give a worker back to the pool, or hand it straight to a queued job
+  function release(worker) {
+    const job = queue.shift();
+    if (job) {
+      start(worker, job);
+    } else {
+      worker.unref();
+      idle.push(worker);
+    }
+  }
+
+  // Terminate a worker mid-task; a replacement is spawned on demand
+  function discard(worker) {
+    workerCount--;
+    worker.removeAllListeners();
+    worker.terminate();
+    const job = queue.shift();
+    if (job) {
+      start(spawnWorker(), job);
+    }
+  }
+
+  function start(worker, job) {
+    const id = nextId++;
+    const { task, timeoutMs, signal, name, onProgress, resolve, reject } = job;
+
+    const finish = (settle) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      worker.removeListener("message", onMessage);
+      worker.removeListener("error", onError);
+      settle();
+    };
+
+    const onMessage = (message) => {
+      if (message.id !== id) {
+        return;
+      }
+      if (message.progress !== undefined) {
+        onProgress?.(message.progress);
+        return;
+      }
+      finish(() => {
+        release(worker);
+        if (message.error !== undefined) {
+          reject(new Error(message.error));
+        } else {
+          resolve(message.result);
+        }
+      });
+    };
+
+    const onError = (error) => {
+      finish(() => {
+        discard(worker);
+        reject(error);
+      });
+    };
+
+    const onAbort = () => {
+      finish(() => {
+        discard(worker);
+        reject(new ToolCancelledError(name));
+      });
+    };
+
+    const timer = setTimeout(() => {
+      finish(() => {
+        discard(worker);
+        reject(new ToolTimeoutError(name, timeoutMs));
+      });
+    }, timeoutMs);
+
+    worker.on("message", onMessage);
+    worker.on("error", onError);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    worker.ref();
+    worker.postMessage({ id, task });
+  }
+
+  /**
+   * Run a task in a worker. Rejects with ToolTimeoutError after `timeoutMs`
+   * and with ToolCancelledError when `signal` aborts. Progress updates from
+   * the worker are passed to `onProgress`.
+   */
+  function run(task, { name, timeoutMs, signal, onProgress }) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new ToolCancelledError(name));
+        return;
+      }
+
+      const job = { task, timeoutMs, signal, name, onProgress, resolve, reject };
+
+      const worker = idle.pop() ?? (workerCount < size ? spawnWorker() : null);
+      if (worker) {
+        start(worker, job);
+        return;
+      }
+
+      // Every worker is busy: wait in line, leaving the queue if cancelled
+      queue.push(job);
+      signal?.addEventListener(
+        "abort",
+        () => {
+          const index = queue.indexOf(job);
+          if (index !== -1) {
+            queue.splice(index, 1);
+            reject(new ToolCancelledError(name));
+          }
+        },
+        { once: true }
+      );
+    });
+  }
+
+  return { run };
+}
@@ -0,0 +1,622 @@
+/**
+ * Test suite for the Text Utilities HTTP server
+ *
+ * Run with: node --test test/server-http.test.js
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { spawn } from "node:child_process";
+import { request as httpRequest } from "node:http";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { LoggingMessageNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { toolNames } from "../server/tools/index.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const serverPath = join(__dirname, "..", "server-http.js");
+
+// Start the server on a random free port and wait for it to report the port
+async function startServer(env = {}) {
+  const serverProcess = spawn("node", [serverPath], {
+    stdio: ["ignore", "pipe", "ignore"],
+    env: { ...process.env, PORT: "0", ...env },
+  });
+
+  let output = "";
+  serverProcess.stdout.on("data", (data) => {
+    output += data.toString();
+  });
+
+  const baseUrl = await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error("Server start timeout")), 5000);
+    serverProcess.stdout.on("data", () => {
+      const match = output.match(/running on port (\d+)/);
+      if (match) {
+        clearTimeout(timeout);
+        resolve(`http://127.0.0.1:${match[1]}`);
+      }
+    });
+  });
+
+  return { serverProcess, baseUrl, output: () => output };
+}
+
+// Helper to connect an MCP client over the legacy SSE transport
+async function connectSSEClient(baseUrl) {
+  const client = new Client({ name: "http-test-client", version: "1.0.0" });
+  await client.connect(new SSEClientTransport(new URL("/sse", baseUrl)));
+  return client;
+}
+
+// Helper to connect an MCP client over the Streamable HTTP transport
+async function connectStreamableClient(baseUrl, headers = {}) {
+  const client = new Client({ name: "http-test-client", version: "1.0.0" });
+  const transport = new StreamableHTTPClientTransport(new URL("/mcp", baseUrl), {
+    requestInit: { headers },
+  });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+describe("Text Utilities HTTP Server", () => {
+  let serverProcess;
+  let baseUrl;
+
+  before(async () => {
+    ({ serverProcess, baseUrl } = await startServer({ PUBLIC_ADMIN_ENDPOINTS: "true" }));
+  });
+
+  after(() => {
+    if (serverProcess) {
+      serverProcess.kill("SIGTERM");
+    }
+  });
+
+  describe("Health", () => {
+    it("should list tools from the shared registry", async () => {
+      const response = await fetch(new URL("/health", baseUrl));
+      const body = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(body.status, "ok");
+      assert.deepStrictEqual(body.tools, toolNames, "Should match registry tools");
+    });
+  });
+
+  describe("Metrics", () => {
+    it("should expose tool and session metrics in Prometheus format", async () => {
+      const { client, transport } = await connectStreamableClient(baseUrl);
+      try {
+        await client.callTool({ name: "word_count", arguments: { text: "one two" } });
+        await assert.rejects(client.callTool({ name: "nonexistent_tool", arguments: {} }));
+      } finally {
+        await transport.terminateSession();
+        await client.close();
+      }
+
+      const response = await fetch(new URL("/metrics", baseUrl));
+      const body = await response.text();
+
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers.get("content-type"), /^text\/plain/);
+      assert.match(body, /mcp_tool_calls_total\{tool="word_count",outcome="success"\} 1/);
+      assert.match(body, /mcp_tool_duration_seconds_bucket\{tool="word_count",le="\+Inf"\} 1/);
+      assert.match(body, /mcp_tool_input_characters_sum\{tool="word_count"\} 7/);
+      assert.match(body, /mcp_unknown_tool_calls_total 1/);
+      assert.match(body, /mcp_sessions_opened_total\{transport="streamable"\} \d+/);
+      assert.match(body, /mcp_sessions_closed_total\{transport="streamable",reason="closed"\} \d+/);
+      assert.match(body, /mcp_active_sessions\{transport="sse"\} \d+/);
+    });
+  });
+
+  describe("SSE Transport", () => {
+    let client;
+
+    before(async () => {
+      client = await connectSSEClient(baseUrl);
+    });
+
+    after(async () => {
+      await client?.close();
+    });
+
+    it("should list the same tools as the registry", async () => {
+      const { tools } = await client.listTools();
+      assert.deepStrictEqual(tools.map((t) => t.name), toolNames);
+    });
+
+    it("should return the same JSON envelope as stdio", async () => {
+      const result = await client.callTool({
+        name: "character_count",
+        arguments: { text: "Hello World" },
+      });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.success, true, "Should succeed");
+      assert.strictEqual(content.characters_without_spaces, 10, "Should count 10 without spaces");
+    });
+
+    it("should keep concurrent sessions independent", async () => {
+      const other = await connectSSEClient(baseUrl);
+      await other.close();
+
+      const result = await client.callTool({
+        name: "reverse_text",
+        arguments: { text: "abc" },
+      });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.result, "cba", "First session should still work");
+    });
+
+    it("should validate input size", async () => {
+      const result = await client.callTool({
+        name: "reverse_text",
+        arguments: { text: "a".repeat(1000001) },
+      });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(result.isError, true, "Should indicate error");
+      assert.match(content.error, /Input too large/);
+    });
+  });
+
+  describe("Streamable HTTP Transport", () => {
+    it("should create a session and call tools", async () => {
+      const { client, transport } = await connectStreamableClient(baseUrl);
+      try {
+        assert.ok(transport.sessionId, "Should be assigned a session ID");
+
+        const { tools } = await client.listTools();
+        assert.deepStrictEqual(tools.map((t) => t.name), toolNames);
+
+        const result = await client.callTool({
+          name: "reverse_text",
+          arguments: { text: "Hello World" },
+        });
+        const content = JSON.parse(result.content[0].text);
+        assert.strictEqual(content.result, "dlroW olleH", "Should reverse correctly");
+      } finally {
+        await client.close();
+      }
+    });
+
+    it("should report progress and chunk large results", async () => {
+      const { client, transport } = await connectStreamableClient(baseUrl);
+      const input = "hello world ".repeat(25000);
+      const updates = [];
+      try {
+        const result = await client.callTool(
+          { name: "uppercase_text", arguments: { text: input } },
+          undefined,
+          { onprogress: (update) => updates.push(update) }
+        );
+
+        const envelope = JSON.parse(result.content[0].text);
+        const chunks = result.content.slice(1).map((block) => block.text);
+        assert.strictEqual(envelope.success, true);
+        assert.strictEqual(envelope.result, undefined, "Large results should not be inline");
+        assert.strictEqual(envelope.result_chunks, chunks.length);
+        assert.ok(chunks.length > 1, "Should split the result");
+        assert.strictEqual(chunks.join(""), input.toUpperCase());
+
+        assert.ok(updates.length > 1, "Should report progress more than once");
+        assert.deepStrictEqual(updates.at(-1), { progress: input.length, total: input.length });
+      } finally {
+        await transport.terminateSession();
+        await client.close();
+      }
+    });
+
+    it("should end the session on DELETE", async () => {
+      const { client, transport } = await connectStreamableClient(baseUrl);
+      const sessionId = transport.sessionId;
+      await transport.terminateSession();
+      await client.close();
+
+      const response = await fetch(new URL("/mcp", baseUrl), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json, text/event-stream",
+          "Mcp-Session-Id": sessionId,
+        },
+        body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list" }),
+      });
+      assert.strictEqual(response.status, 404, "Terminated session should be gone");
+    });
+
+    it("should reject non-initialize requests without a session", async () => {
+      const response = await fetch(new URL("/mcp", baseUrl), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json, text/event-stream",
+        },
+        body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list" }),
+      });
+      const body = await response.json();
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(body.error.code, -32000);
+    });
+
+    it("should not accept Streamable HTTP sessions on /message", async () => {
+      const { client, transport } = await connectStreamableClient(baseUrl);
+      try {
+        const response = await fetch(
+          new URL(`/message?sessionId=${transport.sessionId}`, baseUrl),
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list" }),
+          }
+        );
+        assert.strictEqual(response.status, 400);
+      } finally {
+        await client.close();
+      }
+    });
+  });
+
+});
+
+describe("HTTP Session Lifecycle", () => {
+  let serverProcess;
+  let baseUrl;
+
+  before(async () => {
+    ({ serverProcess, baseUrl } = await startServer({
+      PUBLIC_ADMIN_ENDPOINTS: "true",
+      MAX_SESSIONS: "1",
+      SESSION_IDLE_TIMEOUT_MS: "1000",
+    }));
+  });
+
+  after(() => {
+    if (serverProcess) {
+      serverProcess.kill("SIGTERM");
+    }
+  });
+
+  it("should report per-session details and enforce limits", async () => {
+    const { client, transport } = await connectStreamableClient(baseUrl);
+    try {
+      await client.listTools();
+
+      const sessions = await (await fetch(new URL("/sessions", baseUrl))).json();
+      assert.strictEqual(sessions.activeSessions, 1);
+      assert.strictEqual(sessions.sessions[0].id, transport.sessionId);
+      assert.strictEqual(sessions.sessions[0].type, "streamable");
+      assert.ok(sessions.sessions[0].requestCount >= 1, "Should count requests");
+      assert.ok(sessions.sessions[0].createdAt, "Should report creation time");
+
+      const rejected = await fetch(new URL("/sse", baseUrl));
+      assert.strictEqual(rejected.status, 503, "Should reject sessions over the limit");
+      assert.ok(rejected.headers.get("retry-after"), "Should send Retry-After");
+    } finally {
+      await transport.terminateSession();
+      await client.close();
+    }
+  });
+
+  it("should reap idle sessions", async () => {
+    const client = await connectSSEClient(baseUrl);
+    try {
+      await new Promise((resolve) => setTimeout(resolve, 2500));
+
+      const health = await (await fetch(new URL("/health", baseUrl))).json();
+      assert.strictEqual(health.activeSessions, 0, "Idle session should be closed");
+    } finally {
+      await client.close();
+    }
+  });
+});
+
+describe("HTTP Authentication", () => {
+  let serverProcess;
+  let baseUrl;
+
+  const adminHeaders = { Authorization: "Bearer admin-key" };
+  const restrictedHeaders = { "X-API-Key": "restricted-key" };
+
+  before(async () => {
+    const configPath = join(mkdtempSync(join(tmpdir(), "mcp-auth-")), "auth.json");
+    writeFileSync(
+      configPath,
+      JSON.stringify({
+        keys: [{ name: "restricted", key: "restricted-key", tools: ["reverse_text"] }],
+      })
+    );
+
+    ({ serverProcess, baseUrl } = await startServer({
+      API_KEYS: "admin-key",
+      AUTH_CONFIG_FILE: configPath,
+    }));
+  });
+
+  after(() => {
+    if (serverProcess) {
+      serverProcess.kill("SIGTERM");
+    }
+  });
+
+  it("should keep /health public", async () => {
+    const response = await fetch(new URL("/health", baseUrl));
+    assert.strictEqual(response.status, 200);
+  });
+
+  it("should reject missing or invalid keys with 401", async () => {
+    const missing = await fetch(new URL("/sse", baseUrl));
+    assert.strictEqual(missing.status, 401);
+    assert.match(missing.headers.get("www-authenticate"), /^Bearer/);
+
+    const invalid = await fetch(new URL("/mcp", baseUrl), {
+      method: "POST",
+      headers: { Authorization: "Bearer wrong-key", "Content-Type": "application/json" },
+      body: "{}",
+    });
+    assert.strictEqual(invalid.status, 401);
+  });
+
+  it("should enforce per-key tool allowlists", async () => {
+    const { client, transport } = await connectStreamableClient(baseUrl, restrictedHeaders);
+    try {
+      const { tools } = await client.listTools();
+      assert.deepStrictEqual(tools.map((t) => t.name), ["reverse_text"]);
+
+      await assert.rejects(
+        client.callTool({ name: "word_count", arguments: { text: "a b" } }),
+        /tool word_count is not allowed/
+      );
+    } finally {
+      await transport.terminateSession();
+      await client.close();
+    }
+  });
+
+  it("should only let the owning key use a session", async () => {
+    const { client, transport } = await connectStreamableClient(baseUrl, adminHeaders);
+    try {
+      const response = await fetch(new URL("/mcp", baseUrl), {
+        method: "POST",
+        headers: {
+          ...restrictedHeaders,
+          "Content-Type": "application/json",
+          Accept: "application/json, text/event-stream",
+          "Mcp-Session-Id": transport.sessionId,
+        },
+        body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list" }),
+      });
+      assert.strictEqual(response.status, 403);
+    } finally {
+      await transport.terminateSession();
+      await client.close();
+    }
+  });
+
+  it("should require an admin key for /sessions", async () => {
+    const forbidden = await fetch(new URL("/sessions", baseUrl), { headers: restrictedHeaders });
+    assert.strictEqual(forbidden.status, 403);
+
+    const allowed = await fetch(new URL("/sessions", baseUrl), { headers: adminHeaders });
+    assert.strictEqual(allowed.status, 200);
+  });
+});
+
+describe("HTTP Admin Endpoints", () => {
+  let serverProcess;
+  let baseUrl;
+
+  before(async () => {
+    ({ serverProcess, baseUrl } = await startServer());
+  });
+
+  after(() => {
+    if (serverProcess) {
+      serverProcess.kill("SIGTERM");
+    }
+  });
+
+  it("should close /sessions and /metrics when authentication is disabled", async () => {
+    for (const path of ["/sessions", "/metrics"]) {
+      const response = await fetch(new URL(path, baseUrl));
+      assert.strictEqual(response.status, 403, `${path} should be forbidden`);
+      assert.match((await response.json()).error, /require API keys/);
+    }
+    const health = await fetch(new URL("/health", baseUrl));
+    assert.strictEqual(health.status, 200);
+  });
+});
+
+describe("HTTP Origin Validation", () => {
+  let serverProcess;
+  let baseUrl;
+
+  // fetch() does not allow overriding Host, so use node:http directly
+  function getWithHost(path, host) {
+    return new Promise((resolve, reject) => {
+      const req = httpRequest(new URL(path, baseUrl), { headers: { Host: host } }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on("error", reject);
+      req.end();
+    });
+  }
+
+  before(async () => {
+    ({ serverProcess, baseUrl } = await startServer({
+      ALLOWED_ORIGINS: "https://app.example.com",
+    }));
+  });
+
+  after(() => {
+    if (serverProcess) {
+      serverProcess.kill("SIGTERM");
+    }
+  });
+
+  it("should reject rebound Host headers on a localhost server", async () => {
+    assert.strictEqual(await getWithHost("/health", "attacker.example:8081"), 403);
+    assert.strictEqual(await getWithHost("/health", "localhost:8081"), 200);
+  });
+
+  it("should reject requests from unknown origins", async () => {
+    const response = await fetch(new URL("/health", baseUrl), {
+      headers: { Origin: "https://evil.example.com" },
+    });
+    assert.strictEqual(response.status, 403);
+  });
+
+  it("should add CORS headers for allowed origins", async () => {
+    const response = await fetch(new URL("/health", baseUrl), {
+      headers: { Origin: "https://app.example.com" },
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get("access-control-allow-origin"), "https://app.example.com");
+    assert.match(response.headers.get("access-control-expose-headers"), /Mcp-Session-Id/);
+  });
+
+  it("should answer CORS preflights for MCP endpoints", async () => {
+    for (const path of ["/sse", "/message", "/mcp"]) {
+      const response = await fetch(new URL(path, baseUrl), {
+        method: "OPTIONS",
+        headers: {
+          Origin: "https://app.example.com",
+          "Access-Control-Request-Method": "POST",
+          "Access-Control-Request-Headers": "content-type, mcp-session-id",
+        },
+      });
+      assert.strictEqual(response.status, 204, `Preflight for ${path}`);
+      assert.match(response.headers.get("access-control-allow-headers"), /Mcp-Session-Id/);
+      assert.match(response.headers.get("access-control-allow-methods"), /POST/);
+    }
+  });
+});
+
+describe("HTTP Rate Limiting", () => {
+  let serverProcess;
+  let baseUrl;
+
+  before(async () => {
+    ({ serverProcess, baseUrl } = await startServer({
+      API_KEYS: "requests-key,characters-key",
+      RATE_LIMIT_REQUESTS_PER_MINUTE: "6",
+      RATE_LIMIT_CHARACTERS_PER_MINUTE: "10",
+    }));
+  });
+
+  after(() => {
+    if (serverProcess) {
+      serverProcess.kill("SIGTERM");
+    }
+  });
+
+  it("should return 429 with Retry-After once the request limit is reached", async () => {
+    const post = () =>
+      fetch(new URL("/mcp", baseUrl), {
+        method: "POST",
+        headers: {
+          Authorization: "Bearer requests-key",
+          "Content-Type": "application/json",
+          Accept: "application/json, text/event-stream",
+        },
+        body: JSON.stringify({ jsonrpc: "2.0", id: 7, method: "tools/list" }),
+      });
+
+    for (let i = 0; i < 6; i++) {
+      assert.notStrictEqual((await post()).status, 429, `Request ${i + 1} should be allowed`);
+    }
+
+    const response = await post();
+    const body = await response.json();
+    assert.strictEqual(response.status, 429);
+    assert.ok(Number(response.headers.get("retry-after")) > 0, "Should send Retry-After");
+    assert.strictEqual(body.id, 7, "Should answer the throttled request");
+    assert.match(body.error.message, /Rate limited/);
+  });
+
+  it("should throttle tool calls over the input character quota", async () => {
+    const { client, transport } = await connectStreamableClient(baseUrl, {
+      Authorization: "Bearer characters-key",
+    });
+    try {
+      const first = await client.callTool({ name: "reverse_text", arguments: { text: "12345678" } });
+      assert.strictEqual(JSON.parse(first.content[0].text).success, true);
+
+      await assert.rejects(
+        client.callTool({ name: "reverse_text", arguments: { text: "12345678" } }),
+        (error) => {
+          assert.strictEqual(error.code, -32029);
+          assert.match(error.message, /Retry after \d+ seconds/);
+          return true;
+        }
+      );
+    } finally {
+      await client.close();
+    }
+  });
+});
+
+describe("HTTP Logging", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ LOG_FORMAT: "json" });
+  });
+
+  after(() => {
+    if (server?.serverProcess) {
+      server.serverProcess.kill("SIGTERM");
+    }
+  });
+
+  it("should send log notifications to a client that sets a level", async () => {
+    const { client, transport } = await connectStreamableClient(server.baseUrl);
+    const messages = [];
+    client.setNotificationHandler(LoggingMessageNotificationSchema, (notification) => {
+      messages.push(notification.params);
+    });
+
+    try {
+      await client.callTool({ name: "reverse_text", arguments: { text: "before level" } });
+      assert.strictEqual(messages.length, 0, "Should not log before logging/setLevel");
+
+      await client.setLoggingLevel("info");
+      await client.callTool({ name: "reverse_text", arguments: { text: "secret input" } });
+
+      const completed = messages.find((m) => m.data.message === "Tool completed");
+      assert.ok(completed, "Should receive the tool completion log");
+      assert.strictEqual(completed.level, "info");
+      assert.strictEqual(completed.data.tool, "reverse_text");
+      assert.match(completed.data.sessionId, /…$/, "Should redact the session ID");
+      assert.ok(!JSON.stringify(messages).includes("secret input"), "Should not leak input text");
+    } finally {
+      await transport.terminateSession();
+      await client.close();
+    }
+  });
+
+  it("should write redacted JSON lines", async () => {
+    const { client, transport } = await connectStreamableClient(server.baseUrl);
+    const sessionId = transport.sessionId;
+    await transport.terminateSession();
+    await client.close();
+
+    const records = server
+      .output()
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+
+    assert.ok(records.every((record) => record.timestamp && record.level && record.message));
+    assert.ok(
+      records.some((record) => record.message === "Session created"),
+      "Should log session lifecycle"
+    );
+    assert.ok(!server.output().includes(sessionId), "Should never log a full session ID");
+  });
+});
@@ -9,9 +9,12 @@ import assert from "node:assert";
 import { spawn } from "node:child_process";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
+import { readFileSync } from "node:fs";
+import { toolDefinitions } from "../server/tools/index.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const serverPath = join(__dirname, "..", "server", "index.js");
+const manifestPath = join(__dirname, "..", "manifest.json");
 
 // MCP Protocol helpers
 function createMCPRequest(method, params = {}, id = 1) {
@@ -62,6 +65,12 @@ describe("Text Utilities MCP Server", () => {
     });
   }
 
+  // Helper to call a tool and get its result
+  async function callTool(name, args, id) {
+    const response = await sendRequest(createMCPRequest("tools/call", { name, arguments: args }, id));
+    return response.result;
+  }
+
   before(async () => {
     // Start the server process
     serverProcess = spawn("node", [serverPath], {
@@ -106,15 +115,45 @@ describe("Text Utilities MCP Server", () => {
       assert.ok(response, "Should receive a response");
       assert.ok(response.result, "Response should have result");
       assert.ok(Array.isArray(response.result.tools), "Result should have tools array");
-      assert.strictEqual(response.result.tools.length, 6, "Should have 6 tools");
+      assert.strictEqual(response.result.tools.length, 19, "Should have 19 tools");
       
       const toolNames = response.result.tools.map((t) => t.name);
       assert.ok(toolNames.includes("reverse_text"), "Should have reverse_text");
       assert.ok(toolNames.includes("uppercase_text"), "Should have uppercase_text");
       assert.ok(toolNames.includes("lowercase_text"), "Should have lowercase_text");
+      assert.ok(toolNames.includes("slugify"), "Should have slugify");
       assert.ok(toolNames.includes("word_count"), "Should have word_count");
       assert.ok(toolNames.includes("character_count"), "Should have character_count");
       assert.ok(toolNames.includes("shuffle_text"), "Should have shuffle_text");
+      assert.ok(toolNames.includes("convert_case"), "Should have convert_case");
+      assert.ok(toolNames.includes("text_statistics"), "Should have text_statistics");
+      assert.ok(toolNames.includes("word_frequency"), "Should have word_frequency");
+      assert.ok(toolNames.includes("text_diff"), "Should have text_diff");
+      assert.ok(toolNames.includes("string_similarity"), "Should have string_similarity");
+      assert.ok(toolNames.includes("regex"), "Should have regex");
+      assert.ok(toolNames.includes("encode_text"), "Should have encode_text");
+      assert.ok(toolNames.includes("decode_text"), "Should have decode_text");
+      assert.ok(toolNames.includes("hash_text"), "Should have hash_text");
+      assert.ok(toolNames.includes("normalize_text"), "Should have normalize_text");
+      assert.ok(toolNames.includes("lines"), "Should have lines");
+      assert.ok(toolNames.includes("format_text"), "Should have format_text");
+    });
+  });
+
+  describe("Tool Registry", () => {
+    it("should list the registry's tool definitions", async () => {
+      const request = createMCPRequest("tools/list", {});
+      const response = await sendRequest(request);
+
+      assert.deepStrictEqual(response.result.tools, toolDefinitions, "Should match registry");
+    });
+
+    it("should be in sync with manifest.json", () => {
+      const manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+      const manifestTools = manifest.tools.map(({ name, description }) => ({ name, description }));
+      const registryTools = toolDefinitions.map(({ name, description }) => ({ name, description }));
+
+      assert.deepStrictEqual(manifestTools, registryTools, "Manifest tools should match registry");
     });
   });
 
@@ -132,6 +171,27 @@ describe("Text Utilities MCP Server", () => {
       assert.strictEqual(content.result, "dlroW olleH", "Should reverse correctly");
     });
 
+    it("reverse_text: should keep emoji and combining sequences whole", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "reverse_text",
+        arguments: { text: "ae\u0301 🇫🇷👩‍👩‍👧" },
+      }));
+
+      const content = JSON.parse(response.result.content[0].text);
+      assert.strictEqual(content.unit, "grapheme");
+      assert.strictEqual(content.result, "👩‍👩‍👧🇫🇷 e\u0301a", "Should reverse graphemes");
+    });
+
+    it("reverse_text: should reverse code units when asked", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "reverse_text",
+        arguments: { text: "ae\u0301", unit: "code_unit" },
+      }));
+
+      const content = JSON.parse(response.result.content[0].text);
+      assert.strictEqual(content.result, "\u0301ea");
+    });
+
     it("uppercase_text: should convert to uppercase", async () => {
       const request = createMCPRequest("tools/call", {
         name: "uppercase_text",
@@ -156,6 +216,27 @@ describe("Text Utilities MCP Server", () => {
       assert.strictEqual(content.result, "hello world", "Should lowercase correctly");
     });
 
+    it("uppercase_text: should apply locale-specific casing", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "uppercase_text",
+        arguments: { text: "istanbul", locale: "tr" },
+      }));
+
+      const content = JSON.parse(response.result.content[0].text);
+      assert.strictEqual(content.locale, "tr");
+      assert.strictEqual(content.result, "İSTANBUL", "Should use the Turkish dotted capital I");
+    });
+
+    it("lowercase_text: should reject an invalid locale", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "lowercase_text",
+        arguments: { text: "ABC", locale: "not a locale" },
+      }));
+
+      assert.strictEqual(response.result.isError, true, "Should be an error result");
+      assert.match(response.result.content[0].text, /Invalid locale: not a locale/);
+    });
+
     it("word_count: should count words correctly", async () => {
       const request = createMCPRequest("tools/call", {
         name: "word_count",
@@ -168,6 +249,57 @@ describe("Text Utilities MCP Server", () => {
       assert.strictEqual(content.word_count, 6, "Should count 6 words");
     });
 
+    it("word_count: should segment words in scripts without spaces", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "word_count",
+        arguments: { text: "我喜欢学习中文。今天天气很好。", locale: "zh" },
+      }));
+
+      const content = JSON.parse(response.result.content[0].text);
+      assert.ok(content.word_count > 1, "Should find more than one word");
+      assert.strictEqual(content.sentences, 2);
+    });
+
+    it("word_count: should break down sentences, paragraphs, lines and unique words", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "word_count",
+        arguments: { text: "The cat sat — the cat ran.\nIt was fast!\n\nThe end." },
+      }));
+
+      const content = JSON.parse(response.result.content[0].text);
+      assert.strictEqual(content.word_count, 11, "Should not count the dash");
+      assert.strictEqual(content.unique_words, 8);
+      assert.strictEqual(content.sentences, 3);
+      assert.strictEqual(content.paragraphs, 2);
+      assert.strictEqual(content.lines, 4);
+    });
+
+    it("word_count: should ignore numbers, URLs and code when asked", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "word_count",
+        arguments: {
+          text: "See https://example.com/docs for 42 tips.\n```\nnpm install --save\n```\nRun `npm test` now.",
+          ignore_numbers: true,
+          ignore_urls: true,
+          ignore_code: true,
+        },
+      }));
+
+      const content = JSON.parse(response.result.content[0].text);
+      assert.strictEqual(content.word_count, 5, "Should count See, for, tips, Run, now");
+    });
+
+    it("word_count: should keep whitespace counting as a mode", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "word_count",
+        arguments: { text: "Wait — what?", mode: "whitespace" },
+      }));
+
+      const content = JSON.parse(response.result.content[0].text);
+      assert.strictEqual(content.mode, "whitespace");
+      assert.strictEqual(content.word_count, 3);
+    });
+
     it("character_count: should count characters correctly", async () => {
       const request = createMCPRequest("tools/call", {
         name: "character_count",
@@ -181,6 +313,31 @@ describe("Text Utilities MCP Server", () => {
       assert.strictEqual(content.characters_without_spaces, 10, "Should count 10 without spaces");
     });
 
+    it("character_count: should report graphemes, code points, code units and bytes", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "character_count",
+        arguments: { text: "e\u0301 👍🏽" },
+      }));
+
+      const content = JSON.parse(response.result.content[0].text);
+      assert.strictEqual(content.total_characters, 3, "Should count graphemes by default");
+      assert.strictEqual(content.characters_without_spaces, 2);
+      assert.strictEqual(content.graphemes, 3);
+      assert.strictEqual(content.code_points, 5);
+      assert.strictEqual(content.code_units, 7);
+      assert.strictEqual(content.utf8_bytes, 12);
+    });
+
+    it("character_count: should reject an unknown unit", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "character_count",
+        arguments: { text: "abc", unit: "byte" },
+      }));
+
+      assert.strictEqual(response.result.isError, true, "Should be an error result");
+      assert.match(response.result.content[0].text, /Invalid unit: byte/);
+    });
+
     it("shuffle_text: should shuffle text (different from input)", async () => {
       const input = "abcdefghij";
       const request = createMCPRequest("tools/call", {
@@ -194,6 +351,823 @@ describe("Text Utilities MCP Server", () => {
       assert.strictEqual(content.result.length, input.length, "Should preserve length");
       // Note: Very small chance shuffled equals original, but statistically unlikely
     });
+
+    it("shuffle_text: should give the same result for the same seed", async () => {
+      const call = async (id) => {
+        const response = await sendRequest(createMCPRequest("tools/call", {
+          name: "shuffle_text",
+          arguments: { text: "The quick brown fox jumps over the lazy dog", seed: "repro" },
+        }, id));
+        return JSON.parse(response.result.content[0].text);
+      };
+
+      const first = await call(1);
+      const second = await call(2);
+      assert.strictEqual(first.seed, "repro", "Should echo the seed");
+      assert.strictEqual(first.result, second.result, "Should be deterministic");
+    });
+
+    it("shuffle_text: should shuffle words and keep spacing and punctuation", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "shuffle_text",
+        arguments: { text: "one two, three four.", granularity: "word", seed: 7 },
+      }));
+
+      const content = JSON.parse(response.result.content[0].text);
+      assert.strictEqual(content.granularity, "word");
+      assert.match(content.result, /^\w+ \w+, \w+ \w+\.$/);
+      assert.deepStrictEqual(content.result.match(/\w+/g).sort(), ["four", "one", "three", "two"]);
+    });
+
+    it("shuffle_text: should keep the first and last letter of each word", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "shuffle_text",
+        arguments: { text: "scrambled reading effect", keep_word_ends: true, seed: 1 },
+      }));
+
+      const content = JSON.parse(response.result.content[0].text);
+      const words = content.result.split(" ");
+      assert.deepStrictEqual(words.map((word) => word[0] + word.at(-1)), ["sd", "rg", "et"]);
+      assert.deepStrictEqual([...words[0]].sort(), [..."scrambled"].sort());
+    });
+
+    it("shuffle_text: should keep graphemes whole", async () => {
+      const response = await sendRequest(createMCPRequest("tools/call", {
+        name: "shuffle_text",
+        arguments: { text: "🇫🇷🇩🇪👍🏽" },
+      }));
+
+      const content = JSON.parse(response.result.content[0].text);
+      const graphemes = [...new Intl.Segmenter().segment(content.result)].map(({ segment }) => segment);
+      assert.deepStrictEqual(graphemes.sort(), ["🇫🇷", "🇩🇪", "👍🏽"].sort());
+    });
+  });
+
+  describe("Case Conversion", () => {
+    it("should split identifiers at humps, acronyms and digits", async () => {
+      const cases = [
+        ["parseHTTPResponse2", "snake", "parse_http_response_2"],
+        ["parseHTTPResponse2", "kebab", "parse-http-response-2"],
+        ["XMLHttpRequest", "constant", "XML_HTTP_REQUEST"],
+        ["user-id_field name", "camel", "userIdFieldName"],
+        ["user-id_field name", "pascal", "UserIdFieldName"],
+      ];
+      for (const [text, style, expected] of cases) {
+        const content = JSON.parse((await callTool("convert_case", { text, style })).content[0].text);
+        assert.strictEqual(content.result, expected, `Should convert ${text} to ${style} case`);
+      }
+    });
+
+    it("should apply small-word rules in title case", async () => {
+      const cases = [
+        ["the lord of the rings: the return of the king", "The Lord of the Rings: The Return of the King"],
+        ["what is this for", "What Is This For"],
+      ];
+      for (const [text, expected] of cases) {
+        const result = await callTool("convert_case", { text, style: "title" });
+        const content = JSON.parse(result.content[0].text);
+        assert.strictEqual(content.result, expected);
+      }
+    });
+
+    it("should convert to sentence, toggle and alternating case", async () => {
+      const cases = [
+        ["HELLO THERE. HOW ARE YOU?", "sentence", "Hello there. How are you?"],
+        ["Hello World", "toggle", "hELLO wORLD"],
+        ["hello world", "alternating", "hElLo WoRlD"],
+      ];
+      for (const [text, style, expected] of cases) {
+        const content = JSON.parse((await callTool("convert_case", { text, style })).content[0].text);
+        assert.strictEqual(content.result, expected, `Should convert to ${style} case`);
+      }
+    });
+
+    it("should honor the locale", async () => {
+      const result = await callTool("convert_case", { text: "istanbul", style: "constant", locale: "tr" });
+      assert.strictEqual(JSON.parse(result.content[0].text).result, "İSTANBUL");
+    });
+  });
+
+  describe("Text Statistics", () => {
+    it("should report counts, readability scores and reading time", async () => {
+      const result = await callTool("text_statistics", {
+        text: "The cat sat on the mat. It was a sunny day, and the cat was happy.",
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.success, true, "Should succeed");
+      assert.strictEqual(content.words, 16);
+      assert.strictEqual(content.sentences, 2);
+      assert.strictEqual(content.average_sentence_length, 8);
+      assert.ok(content.syllables >= 16, "Should count at least one syllable per word");
+      assert.ok(content.readability.flesch_reading_ease > 80, "Simple text should be easy to read");
+      for (const score of ["flesch_kincaid_grade", "gunning_fog", "smog", "coleman_liau"]) {
+        assert.strictEqual(typeof content.readability[score], "number", `Should report ${score}`);
+      }
+      assert.ok(content.lexical_density > 0 && content.lexical_density < 100);
+      assert.strictEqual(content.reading_time_seconds, 4);
+    });
+
+    it("should return null readability for text without words", async () => {
+      const result = await callTool("text_statistics", { text: "—" });
+
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.words, 0);
+      assert.strictEqual(content.readability, null);
+    });
+  });
+
+  describe("Word Frequency", () => {
+    it("should count words, n-grams and keywords, most frequent first", async () => {
+      const result = await callTool("word_frequency", {
+        text: "The quick brown fox. The quick brown dog! A quick fox.",
+        limit: 2,
+      });
+
+      const content = JSON.parse(result.content[0].text);
+
+      assert.deepStrictEqual(content.words, [
+        { word: "quick", count: 3, frequency: 0.2727 },
+        { word: "brown", count: 2, frequency: 0.1818 },
+      ]);
+      assert.deepStrictEqual(content.bigrams, [
+        { ngram: "quick brown", count: 2 },
+        { ngram: "the quick", count: 2 },
+      ]);
+      assert.deepStrictEqual(content.trigrams[0], { ngram: "the quick brown", count: 2 });
+      assert.deepStrictEqual(content.keywords.map(({ word }) => word), ["quick", "brown"]);
+      assert.strictEqual(content.keywords[0].score, 1);
+    });
+
+    it("should not count n-grams across sentences", async () => {
+      const result = await callTool("word_frequency", { text: "Stop here. Here we go." });
+      const content = JSON.parse(result.content[0].text);
+      assert.ok(!content.bigrams.some(({ ngram }) => ngram === "here here"));
+    });
+
+    it("should stem, drop stopwords and apply a minimum frequency", async () => {
+      const result = await callTool("word_frequency", {
+        text: "Connected the connection. Connecting is the connect step.",
+        stem: true,
+        remove_stopwords: true,
+        min_frequency: 2,
+      });
+
+      const content = JSON.parse(result.content[0].text);
+
+      assert.deepStrictEqual(content.words.map(({ count }) => count), [4]);
+      assert.deepStrictEqual(content.bigrams, []);
+    });
+
+    it("should use the locale's stopwords and reject unsupported stemming", async () => {
+      const result = await callTool("word_frequency", {
+        text: "Der Hund und die Katze. Der Hund schläft.",
+        locale: "de",
+      });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.language, "de");
+      assert.deepStrictEqual(content.keywords[0], { word: "hund", count: 2, score: 1 });
+
+      const stemmed = await callTool("word_frequency", { text: "Der Hund", locale: "de", stem: true });
+      assert.strictEqual(stemmed.isError, true, "Should be an error result");
+      assert.match(stemmed.content[0].text, /Stemming is not available for language: de/);
+    });
+
+    it("should analyze a locale without a stopword list", async () => {
+      const text = "\u6211\u559c\u6b22\u5317\u4eac\u3002\u5317\u4eac\u5f88\u5927\u3002";
+      const content = JSON.parse((await callTool("word_frequency", { text, locale: "zh" })).content[0].text);
+      assert.strictEqual(content.success, true);
+      assert.strictEqual(content.language, "zh");
+      assert.deepStrictEqual(content.words[0], { word: "\u5317\u4eac", count: 2, frequency: 0.4 });
+
+      const explicit = await callTool("word_frequency", { text: "\u5317\u4eac", language: "zh" });
+      assert.strictEqual(explicit.isError, true, "An explicit language still needs a list");
+    });
+  });
+
+  describe("Text Diff", () => {
+    it("should return a unified line diff with counts and similarity", async () => {
+      const original = "one\ntwo\nthree\nfour\nfive\nsix\nseven\n";
+      const modified = "one\n2\nthree\nfour\nfive\nsix\nseven\neight\n";
+      const result = await callTool("text_diff", { original, modified, context: 1 });
+      const content = JSON.parse(result.content[0].text);
+
+      assert.strictEqual(content.granularity, "line");
+      assert.strictEqual(
+        content.result,
+        "--- original\n+++ modified\n" +
+          "@@ -1,3 +1,3 @@\n one\n-two\n+2\n three\n" +
+          "@@ -7 +7,2 @@\n seven\n+eight\n"
+      );
+      assert.strictEqual(content.insertions, 2);
+      assert.strictEqual(content.deletions, 1);
+      assert.strictEqual(content.similarity, 0.8);
+      assert.strictEqual(content.identical, false);
+    });
+
+    it("should mark word and character changes inline", async () => {
+      const wordResult = await callTool("text_diff", {
+        original: "The quick brown fox jumps.",
+        modified: "The quick red fox leaps!",
+        granularity: "word",
+      });
+      const words = JSON.parse(wordResult.content[0].text);
+      assert.strictEqual(words.result, "The quick [-brown-]{+red+} fox [-jumps.-]{+leaps!+}");
+      assert.strictEqual(words.insertions, 3);
+      assert.strictEqual(words.deletions, 3);
+
+      const characterResult = await callTool("text_diff", {
+        original: "kitten",
+        modified: "sitting",
+        granularity: "character",
+      });
+      const characters = JSON.parse(characterResult.content[0].text);
+      assert.strictEqual(characters.result, "[-k-]{+s+}itt[-e-]{+i+}n{+g+}");
+    });
+
+    it("should refine changed lines found after an insertion", async () => {
+      const result = await callTool("text_diff", {
+        original: "the quick brown fox\n",
+        modified: "intro\nthe quick red fox\n",
+        granularity: "word",
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.result, "{+intro\n+}the quick [-brown-]{+red+} fox\n");
+      assert.strictEqual(content.deletions, 1);
+      assert.strictEqual(content.insertions, 2);
+    });
+
+    it("should report identical inputs", async () => {
+      const result = await callTool("text_diff", { original: "same\n", modified: "same\n" });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.identical, true);
+      assert.strictEqual(content.similarity, 1);
+      assert.strictEqual(content.result, "");
+    });
+
+    it("should validate both inputs", async () => {
+      const result = await callTool("text_diff", { original: "a", modified: "b".repeat(1000001) });
+
+      assert.strictEqual(result.isError, true, "Should be an error result");
+      assert.match(result.content[0].text, /Input too large for text_diff \(modified\)/);
+    });
+
+    it("should diff large inputs quickly", async () => {
+      const original = Array.from({ length: 50000 }, (_, i) => `line ${i}\n`).join("");
+      const modified = original.replace("line 100\n", "line one hundred\n").replace("line 40000\n", "");
+      const result = await callTool("text_diff", { original, modified, context: 0 });
+      const content = JSON.parse(result.content[0].text);
+
+      assert.strictEqual(content.minimal, true);
+      assert.strictEqual(content.deletions, 2);
+      assert.strictEqual(content.insertions, 1);
+      assert.match(content.result, /^@@ -101 \+101 @@\n-line 100\n\+line one hundred\n/m);
+    });
+  });
+
+  describe("String Similarity", () => {
+    it("should compute every metric for two strings", async () => {
+      const result = await callTool("string_similarity", { query: "kitten", target: "sitting" });
+      const content = JSON.parse(result.content[0].text);
+
+      assert.deepStrictEqual(content.levenshtein, { distance: 3, similarity: 0.5714 });
+      assert.strictEqual(content.damerau_levenshtein.distance, 3);
+      assert.strictEqual(content.lcs.length, 4);
+      assert.strictEqual(typeof content.jaro_winkler.similarity, "number");
+      assert.strictEqual(typeof content.cosine.similarity, "number");
+    });
+
+    it("should count adjacent transpositions as one edit", async () => {
+      const result = await callTool("string_similarity", { query: "abcdef", target: "abdcef" });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.levenshtein.distance, 2);
+      assert.strictEqual(content.damerau_levenshtein.distance, 1);
+    });
+
+    it("should rank candidates in best_match mode", async () => {
+      const result = await callTool("string_similarity", {
+        query: "aple",
+        candidates: ["banana", "apple", "maple", "grape"],
+        mode: "best_match",
+        limit: 2,
+      });
+      const content = JSON.parse(result.content[0].text);
+
+      assert.strictEqual(content.metric, "jaro_winkler");
+      assert.deepStrictEqual(content.matches.map(({ candidate, index }) => [candidate, index]), [["apple", 1], ["maple", 2]]);
+      assert.ok(content.matches[0].score >= content.matches[1].score, "Should sort by score");
+    });
+
+    it("should validate candidate arrays", async () => {
+      const notStrings = await callTool("string_similarity", { query: "a", candidates: ["b", 3], mode: "best_match" });
+      assert.strictEqual(notStrings.isError, true, "Should be an error result");
+      assert.match(notStrings.content[0].text, /Invalid input type for string_similarity \(candidates\)\[1\]/);
+
+      const candidates = ["b".repeat(600000), "c".repeat(600000)];
+      const tooLarge = await callTool("string_similarity", { query: "a", candidates, mode: "best_match" }, 2);
+      assert.strictEqual(tooLarge.isError, true, "Should be an error result");
+      assert.match(tooLarge.content[0].text, /Input too large for string_similarity \(candidates\)/);
+    });
+
+    it("should require a target in compare mode and candidates in best_match mode", async () => {
+      const noTarget = await callTool("string_similarity", { query: "kitten" });
+      assert.strictEqual(noTarget.isError, true, "Should be an error result");
+      assert.match(JSON.parse(noTarget.content[0].text).error, /^Missing target/);
+
+      const noCandidates = await callTool("string_similarity", { query: "kitten", mode: "best_match" });
+      assert.strictEqual(noCandidates.isError, true, "Should be an error result");
+      assert.match(JSON.parse(noCandidates.content[0].text).error, /^Missing candidates/);
+    });
+  });
+
+  describe("Regex", () => {
+    it("should test whether a pattern matches", async () => {
+      const result = await callTool("regex", { text: "Hello World", pattern: "world", flags: "i", mode: "test" });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.matched, true);
+      assert.strictEqual(content.index, 6);
+    });
+
+    it("should return every match with named groups and positions", async () => {
+      const content = JSON.parse(
+        (await callTool("regex", { text: "From 2024-01-15 to 2025-12-31", pattern: "(?<year>\\d{4})-(?<month>\\d{2})" })).content[0].text
+      );
+
+      assert.strictEqual(content.match_count, 2);
+      assert.deepStrictEqual(content.matches[1].named_groups, { year: "2025", month: "12" });
+      assert.deepStrictEqual([content.matches[1].index, content.matches[1].end], [19, 26]);
+      assert.deepStrictEqual(content.matches[1].groups[1], { value: "12", start: 24, end: 26 });
+    });
+
+    it("should replace with backreferences", async () => {
+      const content = JSON.parse(
+        (
+          await callTool("regex", {
+            text: "2024-01-15 and 2025-12-31",
+            pattern: "(?<year>\\d{4})-(\\d{2})-(\\d{2})",
+            mode: "replace",
+            replacement: "$3/$2/$<year>",
+          })
+        ).content[0].text
+      );
+      assert.strictEqual(content.result, "15/01/2024 and 31/12/2025");
+      assert.strictEqual(content.replacements, 2);
+    });
+
+    it("should replace only the first match when all is false, even with the g flag", async () => {
+      const content = JSON.parse(
+        (await callTool("regex", { text: "a-b-c", pattern: "-", flags: "g", mode: "replace", replacement: "+", all: false }))
+          .content[0].text
+      );
+      assert.strictEqual(content.result, "a+b-c");
+      assert.strictEqual(content.replacements, 1);
+    });
+
+    it("should split on a pattern", async () => {
+      const result = await callTool("regex", { text: "a, b;c ,d", pattern: "\\s*[,;]\\s*", mode: "split" });
+      const content = JSON.parse(result.content[0].text);
+      assert.deepStrictEqual(content.parts, ["a", "b", "c", "d"]);
+    });
+
+    it("should stop catastrophic backtracking", async () => {
+      const result = await callTool("regex", { text: `${"a".repeat(40)}!`, pattern: "^(a+)+$", mode: "test" });
+      assert.strictEqual(result.isError, true, "Should be an error result");
+      assert.match(result.content[0].text, /catastrophically/);
+    });
+
+    it("should reject invalid patterns", async () => {
+      const result = await callTool("regex", { text: "abc", pattern: "(unclosed" });
+      assert.strictEqual(result.isError, true, "Should be an error result");
+      assert.match(result.content[0].text, /Invalid regular expression/);
+    });
+  });
+
+  describe("Encoding", () => {
+    it("should round-trip every encoding", async () => {
+      const text = "Héllo, wörld! 👋 <a href='x'>&</a>";
+      for (const encoding of ["base64", "base64url", "hex", "url", "html", "quoted_printable", "punycode", "rot13"]) {
+        const encoded = JSON.parse((await callTool("encode_text", { text, encoding })).content[0].text);
+        const decoded = JSON.parse((await callTool("decode_text", { text: encoded.result, encoding })).content[0].text);
+        assert.strictEqual(decoded.result, text, `Should round-trip ${encoding}`);
+      }
+    });
+
+    it("should encode known values", async () => {
+      const cases = [
+        [{ text: "a?b/c~", encoding: "base64url" }, "YT9iL2N-"],
+        [{ text: "a b&c", encoding: "url" }, "a%20b%26c"],
+        [{ text: "münchen.de", encoding: "punycode" }, "xn--mnchen-3ya.de"],
+        [{ text: "Hello", encoding: "rot13" }, "Uryyb"],
+      ];
+      for (const [args, expected] of cases) {
+        const content = JSON.parse((await callTool("encode_text", args)).content[0].text);
+        assert.strictEqual(content.result, expected, `Should encode ${args.encoding}`);
+      }
+
+      const result = await callTool("encode_text", { text: "é", encoding: "hex", charset: "latin1" });
+      const latin1 = JSON.parse(result.content[0].text);
+      assert.deepStrictEqual([latin1.result, latin1.charset, latin1.byte_length], ["e9", "latin1", 1]);
+    });
+
+    it("should decode entities and soft line breaks", async () => {
+      const cases = [
+        [{ text: "caf&eacute; &#x1F600; &lt;b&gt;", encoding: "html" }, "café 😀 <b>"],
+        [{ text: "caf=C3=\n=A9 au lait", encoding: "quoted_printable" }, "café au lait"],
+      ];
+      for (const [args, expected] of cases) {
+        const content = JSON.parse((await callTool("decode_text", args)).content[0].text);
+        assert.strictEqual(content.result, expected, `Should decode ${args.encoding}`);
+      }
+    });
+
+    it("should reject malformed input", async () => {
+      const cases = [
+        [{ text: "SGVsbG8!", encoding: "base64" }, /unexpected "!" \(U\+0021\) at position 7/],
+        [{ text: "abc", encoding: "hex" }, /odd number of digits/],
+        [{ text: "100%", encoding: "url" }, /malformed escape "%" at position 3/],
+        [{ text: "&bogus;", encoding: "html" }, /unknown entity/],
+        [{ text: "/w==", encoding: "base64" }, /not valid utf-8/],
+        [{ text: "é", encoding: "hex", charset: "ebcdic" }, /Invalid charset/],
+      ];
+      for (const [args, error] of cases) {
+        const result = await callTool("decode_text", args);
+        assert.strictEqual(result.isError, true, `Should reject ${args.text}`);
+        assert.match(JSON.parse(result.content[0].text).error, error);
+      }
+
+      const unencodable = await callTool("encode_text", { text: "日本", encoding: "base64", charset: "latin1" });
+      assert.match(JSON.parse(unencodable.content[0].text).error, /Cannot encode "日" \(U\+65E5\) at position 0 in latin1/);
+    });
+  });
+
+  describe("Hashing", () => {
+    const text = "The quick brown fox jumps over the lazy dog";
+
+    it("should compute known digests and checksums", async () => {
+      const expected = {
+        md5: "9e107d9d372bb6826bd81d3542a419d6",
+        sha1: "2fd4e1c67a2d28fced849ee1bb76e7391b93eb12",
+        sha256: "d7a8fbb307d7809469ca9abcb0082e4f8d5651e46d3cdb762d02d0bf37c9e592",
+        "sha3-256": "69070dda01975c8c120c3aada1b282394e7f032fa9cf32f4cb2259a0897dfc04",
+        crc32: "414fa339",
+        adler32: "5bdc0fda",
+      };
+      for (const [algorithm, digest] of Object.entries(expected)) {
+        const content = JSON.parse((await callTool("hash_text", { text, algorithm })).content[0].text);
+        assert.strictEqual(content.result, digest, `Should compute ${algorithm}`);
+      }
+    });
+
+    it("should compute an HMAC without echoing the key", async () => {
+      const result = await callTool("hash_text", { text, hmac_key: "key", format: "base64" });
+      const content = JSON.parse(result.content[0].text);
+
+      assert.strictEqual(content.hmac, true);
+      assert.strictEqual(content.result, "97yD9DBThCSxMpjmqm+xQ+9NWaFJRhdZl0edvC0aPNg=");
+      assert.ok(!result.content[0].text.includes('"key"'), "Should not echo the key");
+    });
+
+    it("should hash UTF-8 bytes", async () => {
+      const result = await callTool("hash_text", { text: "héllo", algorithm: "crc32" });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.byte_length, 6);
+      assert.strictEqual(content.result, "9e3b8236");
+    });
+
+    it("should reject an HMAC key for checksums", async () => {
+      const result = await callTool("hash_text", { text, algorithm: "crc32", hmac_key: "key" });
+      assert.strictEqual(result.isError, true, "Should be an error result");
+      assert.match(JSON.parse(result.content[0].text).error, /HMAC requires a hash algorithm/);
+    });
+  });
+
+  describe("Normalization", () => {
+    it("should clean up pasted text and report each step", async () => {
+      const content = JSON.parse(
+        (
+          await callTool("normalize_text", {
+            text: "\uFEFF“Smart” — the ﬁnal\u00A0 café…  \r\nzero\u200Bwidth\t \rnaïve Łódź",
+            strip_invisible: true,
+            form: "NFKC",
+            remove_diacritics: true,
+            fold_punctuation: true,
+            collapse_whitespace: true,
+            trim_lines: true,
+            line_endings: "lf",
+          })
+        ).content[0].text
+      );
+
+      assert.strictEqual(content.result, '"Smart" - the final cafe...\nzerowidth\nnaive Lodz');
+      assert.deepStrictEqual(content.changes, {
+        strip_invisible: 2,
+        form: 3,
+        remove_diacritics: 5,
+        fold_punctuation: 3,
+        collapse_whitespace: 3,
+        trim_lines: 2,
+        line_endings: 2,
+      });
+      assert.strictEqual(content.changed, true);
+    });
+
+    it("should only run the requested steps", async () => {
+      const result = await callTool("normalize_text", { text: "café  “ok”", form: "NFC" });
+      const content = JSON.parse(result.content[0].text);
+
+      assert.strictEqual(content.result, "café  “ok”");
+      assert.deepStrictEqual(content.changes, { form: 1 });
+    });
+
+    it("should keep emoji joiners and keycaps", async () => {
+      const text = "\u{1F469}\u200D\u{1F469}\u200D\u{1F467} 1\uFE0F\u20E3";
+      const result = await callTool("normalize_text", { text, strip_invisible: true, remove_diacritics: true });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.result, text);
+      assert.strictEqual(content.changed, false);
+    });
+
+    it("should reject unknown forms", async () => {
+      const result = await callTool("normalize_text", { text: "x", form: "NFX" });
+      assert.strictEqual(result.isError, true, "Should be an error result");
+      assert.match(JSON.parse(result.content[0].text).error, /Invalid form: NFX/);
+    });
+
+    it("should reject line endings named after inherited properties", async () => {
+      for (const lineEndings of ["toString", "constructor"]) {
+        const result = await callTool("normalize_text", { text: "a\nb", line_endings: lineEndings });
+        assert.strictEqual(result.isError, true, `${lineEndings} should be an error result`);
+        assert.match(JSON.parse(result.content[0].text).error, new RegExp(`Invalid line_endings: ${lineEndings}`));
+      }
+    });
+  });
+
+  describe("Slugify", () => {
+    it("should transliterate other scripts", async () => {
+      const cases = [
+        ["Привет, мир!", "privet-mir"],
+        ["Αθήνα", "athina"],
+        ["대한민국 서울", "daehanminguk-seoul"],
+        ["とうきょう マッチャ", "toukyou-matcha"],
+        ["Crème brûlée, don't panic", "creme-brulee-dont-panic"],
+      ];
+      for (const [text, expected] of cases) {
+        const content = JSON.parse((await callTool("slugify", { text })).content[0].text);
+        assert.strictEqual(content.result, expected);
+      }
+    });
+
+    it("should spell out German umlauts for locale de", async () => {
+      const german = await callTool("slugify", { text: "Größe über alles", locale: "de" });
+      assert.strictEqual(JSON.parse(german.content[0].text).result, "groesse-ueber-alles");
+      const plain = await callTool("slugify", { text: "Größe über alles" });
+      assert.strictEqual(JSON.parse(plain.content[0].text).result, "grosse-uber-alles");
+    });
+
+    it("should apply separator, case and custom replacements", async () => {
+      const result = await callTool("slugify", {
+        text: "C++ & Rust",
+        separator: "_",
+        lowercase: false,
+        replacements: { "C++": "cpp", "&": "and" },
+      });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.result, "cpp_and_Rust");
+    });
+
+    it("should truncate at a word boundary", async () => {
+      const result = await callTool("slugify", { text: "The quick brown fox jumps over the lazy dog", max_length: 20 });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.result, "the-quick-brown-fox");
+      assert.strictEqual(content.truncated, true);
+    });
+
+    it("should romanize Chinese as Pinyin", async () => {
+      for (const [text, expected] of [["北京欢迎你", "bei-jing-huan-ying-ni"], ["臺灣 2024", "tai-wan-2024"]]) {
+        const content = JSON.parse((await callTool("slugify", { text })).content[0].text);
+        assert.strictEqual(content.result, expected);
+      }
+    });
+
+    it("should report characters it cannot transliterate", async () => {
+      const result = await callTool("slugify", { text: "Tokyo 東京", locale: "ja" });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.result, "tokyo");
+      assert.deepStrictEqual(content.unmapped_characters, ["東", "京"]);
+    });
+
+    it("should reject text that leaves an empty slug", async () => {
+      const result = await callTool("slugify", { text: "東京", locale: "ja" });
+      assert.strictEqual(result.isError, true);
+      assert.match(JSON.parse(result.content[0].text).error, /^Cannot build a slug.*\(unmapped: 東 京\)/);
+    });
+  });
+
+  describe("Lines", () => {
+    it("should chain operations in order", async () => {
+      const result = await callTool("lines", {
+        text: "pear\napple\n\nPear\napple\n",
+        operations: [
+          { op: "remove_blank" },
+          { op: "unique", case_insensitive: true },
+          { op: "sort" },
+          { op: "number" },
+        ],
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.result, "1: apple\n2: pear\n");
+      assert.strictEqual(content.input_lines, 5);
+      assert.deepStrictEqual(
+        content.steps.map((step) => step.lines),
+        [4, 2, 2, 2]
+      );
+    });
+
+    it("should sort naturally and numerically", async () => {
+      const files = await callTool("lines", {
+        text: "file10\nfile2\nFile1",
+        operations: [{ op: "sort", order: "natural" }],
+      });
+      assert.strictEqual(JSON.parse(files.content[0].text).result, "File1\nfile2\nfile10");
+      const sizes = await callTool("lines", {
+        text: "10 b\nn/a\n-1.5 c\n9 a",
+        operations: [{ op: "sort", order: "numeric", reverse: true }],
+      });
+      assert.strictEqual(JSON.parse(sizes.content[0].text).result, "n/a\n10 b\n9 a\n-1.5 c");
+    });
+
+    it("should filter by regex and keep the last duplicate", async () => {
+      const log = "INFO start\nERROR disk\nWARN slow\nerror disk";
+      const errors = await callTool("lines", {
+        text: log,
+        operations: [{ op: "filter", pattern: "^error", flags: "i" }],
+      });
+      assert.strictEqual(JSON.parse(errors.content[0].text).result, "ERROR disk\nerror disk");
+      const others = await callTool("lines", {
+        text: log,
+        operations: [
+          { op: "filter", pattern: "^error", flags: "i", invert: true },
+          { op: "tail", count: 1 },
+        ],
+      });
+      assert.strictEqual(JSON.parse(others.content[0].text).result, "WARN slow");
+      const last = await callTool("lines", { text: "a\nb\na", operations: [{ op: "unique", keep: "last" }] });
+      assert.strictEqual(JSON.parse(last.content[0].text).result, "b\na");
+    });
+
+    it("should extract columns by delimiter", async () => {
+      const result = await callTool("lines", {
+        text: "id,name,email\n1,Ada,ada@example.com",
+        operations: [{ op: "columns", delimiter: ",", columns: [2, -1], output_delimiter: "\t" }],
+      });
+      assert.strictEqual(JSON.parse(result.content[0].text).result, "name\temail\nAda\tada@example.com");
+    });
+
+    it("should name the invalid operation", async () => {
+      const result = await callTool("lines", { text: "a", operations: [{ op: "sort" }, { op: "filter" }] });
+      assert.strictEqual(result.isError, true);
+      assert.match(JSON.parse(result.content[0].text).error, /^Invalid operations\[1\]: filter needs/);
+    });
+  });
+
+  describe("Format Text", () => {
+    const text = "The quick brown fox jumps over the lazy dog";
+
+    it("should wrap, justify and indent", async () => {
+      const wrapped = await callTool("format_text", { text, width: 16 });
+      assert.strictEqual(JSON.parse(wrapped.content[0].text).result, "The quick brown\nfox jumps over\nthe lazy dog");
+      const justified = await callTool("format_text", { text, width: 16, align: "justify" });
+      assert.strictEqual(
+        JSON.parse(justified.content[0].text).result,
+        "The  quick brown\nfox  jumps  over\nthe lazy dog"
+      );
+      const hanging = await callTool("format_text", { text, width: 20, indent: 2, hanging_indent: 2 });
+      assert.strictEqual(
+        JSON.parse(hanging.content[0].text).result,
+        "  The quick brown\n    fox jumps over\n    the lazy dog"
+      );
+      const right = await callTool("format_text", { text: "ab\nabcd", align: "right" });
+      assert.strictEqual(JSON.parse(right.content[0].text).result, "  ab\nabcd");
+    });
+
+    it("should count CJK characters as two columns", async () => {
+      // The full stop is kept with the character before it
+      const result = await callTool("format_text", { text: "\u65e5\u672c\u8a9e\u306e\u6587\u7ae0\u3002", width: 8 });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(content.result, "\u65e5\u672c\u8a9e\u306e\n\u6587\u7ae0\u3002");
+      assert.strictEqual(content.max_line_width, 8);
+    });
+
+    it("should truncate on grapheme and word boundaries", async () => {
+      const flagResult = await callTool("format_text", {
+        text: "\u{1F1EF}\u{1F1F5}\u{1F1EB}\u{1F1F7}\u{1F1E9}\u{1F1EA}",
+        truncate: 2,
+      });
+      const flags = JSON.parse(flagResult.content[0].text);
+      assert.strictEqual(flags.result, "\u{1F1EF}\u{1F1F5}\u2026");
+      assert.strictEqual(flags.truncated, true);
+      const words = await callTool("format_text", { text, truncate: 4, truncate_unit: "words", ellipsis: "..." });
+      assert.strictEqual(JSON.parse(words.content[0].text).result, "The quick brown fox...");
+    });
+
+    it("should rewrap Markdown keeping lists and code fences", async () => {
+      const markdown = [
+        "Intro text that is",
+        "wrapped badly.",
+        "",
+        "- a list item that runs long",
+        "",
+        "```",
+        "code that stays on one line",
+        "```",
+      ].join("\n");
+      const result = await callTool("format_text", { text: markdown, width: 18, markdown: true });
+      const content = JSON.parse(result.content[0].text);
+      assert.strictEqual(
+        content.result,
+        [
+          "Intro text that is",
+          "wrapped badly.",
+          "",
+          "- a list item that",
+          "  runs long",
+          "",
+          "```",
+          "code that stays on one line",
+          "```",
+        ].join("\n")
+      );
+    });
+
+    it("should reject an indent that leaves no room", async () => {
+      const result = await callTool("format_text", { text, width: 4, indent: 4 });
+      assert.strictEqual(result.isError, true);
+      assert.match(JSON.parse(result.content[0].text).error, /^Invalid width: 4/);
+    });
+  });
+
+  describe("Logging", () => {
+    it("should send notifications/message after logging/setLevel", async () => {
+      await sendRequest(createMCPRequest("logging/setLevel", { level: "info" }, 2));
+
+      // Collect everything written until the tool call's response arrives
+      const lines = await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error("Request timeout")), 5000);
+        const received = [];
+        const onData = (data) => {
+          received.push(...parseMCPResponse(data.toString()));
+          if (received.some((message) => message.id === 3)) {
+            clearTimeout(timeout);
+            serverProcess.stdout.removeListener("data", onData);
+            resolve(received);
+          }
+        };
+        serverProcess.stdout.on("data", onData);
+        serverProcess.stdin.write(
+          createMCPRequest("tools/call", { name: "reverse_text", arguments: { text: "log me" } }, 3) + "\n"
+        );
+      });
+
+      const logs = lines.filter((message) => message.method === "notifications/message");
+      assert.ok(logs.some((log) => log.params.data.message === "Tool completed"), "Should log completion");
+      assert.ok(logs.every((log) => log.params.level !== "debug"), "Should respect the level");
+
+      await sendRequest(createMCPRequest("logging/setLevel", { level: "emergency" }, 4));
+    });
+  });
+
+  describe("Metrics", () => {
+    it("should dump tool metrics to stderr on SIGUSR2", { skip: process.platform === "win32" }, async () => {
+      await sendRequest(
+        createMCPRequest("tools/call", {
+          name: "reverse_text",
+          arguments: { text: "metrics" },
+        })
+      );
+
+      const outputBefore = serverOutput.length;
+      serverProcess.kill("SIGUSR2");
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      const dump = serverOutput.slice(outputBefore);
+
+      assert.match(dump, /mcp_tool_calls_total\{tool="reverse_text",outcome="success"\} \d+/);
+      assert.match(dump, /mcp_tool_duration_seconds_count\{tool="reverse_text"\} \d+/);
+    });
+  });
+
+  describe("Large Inputs", () => {
+    it("word_count: should count words across chunk boundaries", async () => {
+      const request = createMCPRequest("tools/call", {
+        name: "word_count",
+        arguments: { text: "lorem ipsum ".repeat(20000) + "x".repeat(70000) },
+      });
+      const response = await sendRequest(request);
+
+      const content = JSON.parse(response.result.content[0].text);
+      assert.strictEqual(content.word_count, 40001, "Should count every word once");
+    });
   });
 
   describe("Error Handling", () => {
@@ -0,0 +1,96 @@
+/**
+ * Test suite for the tool worker pool
+ *
+ * Run with: node --test test/worker-pool.test.js
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import {
+  ToolCancelledError,
+  ToolTimeoutError,
+  createWorkerPool,
+} from "../server/worker-pool.js";
+
+// Worker that echoes `task.value`, optionally after blocking its thread for
+// `task.busyMs` milliseconds (inlined so the test runner does not pick it up)
+const workerSource = `
+import { parentPort } from "node:worker_threads";
+
+parentPort.on("message", ({ id, task }) => {
+  if (task.fail) {
+    parentPort.postMessage({ id, error: task.fail });
+    return;
+  }
+  const until = Date.now() + (task.busyMs ?? 0);
+  while (Date.now() < until) {
+    // Synchronous work the event loop cannot interrupt
+  }
+  parentPort.postMessage({ id, result: task.value });
+});
+`;
+const workerUrl = new URL(`data:text/javascript,${encodeURIComponent(workerSource)}`);
+
+describe("Worker Pool", () => {
+  it("should run tasks and return their results", async () => {
+    const pool = createWorkerPool({ workerUrl, size: 2 });
+    const results = await Promise.all(
+      [1, 2, 3].map((value) => pool.run({ value }, { name: "echo", timeoutMs: 5000 }))
+    );
+    assert.deepStrictEqual(results, [1, 2, 3]);
+  });
+
+  it("should reject with the worker's error message", async () => {
+    const pool = createWorkerPool({ workerUrl, size: 1 });
+    await assert.rejects(
+      pool.run({ fail: "bad input" }, { name: "echo", timeoutMs: 5000 }),
+      /bad input/
+    );
+  });
+
+  it("should terminate blocking work at the timeout without blocking the event loop", async () => {
+    const pool = createWorkerPool({ workerUrl, size: 1 });
+    const startedAt = Date.now();
+    let ticks = 0;
+    const ticker = setInterval(() => ticks++, 10);
+
+    try {
+      await assert.rejects(
+        pool.run({ busyMs: 10000 }, { name: "busy", timeoutMs: 300 }),
+        ToolTimeoutError
+      );
+    } finally {
+      clearInterval(ticker);
+    }
+
+    assert.ok(Date.now() - startedAt < 5000, "Should not wait for the work to finish");
+    assert.ok(ticks > 5, "Event loop should keep running while the worker is busy");
+
+    // The pool replaces the terminated worker
+    assert.strictEqual(await pool.run({ value: "ok" }, { name: "echo", timeoutMs: 5000 }), "ok");
+  });
+
+  it("should terminate work when the signal aborts", async () => {
+    const pool = createWorkerPool({ workerUrl, size: 1 });
+    const controller = new AbortController();
+    const running = pool.run({ busyMs: 10000 }, { name: "busy", timeoutMs: 30000, signal: controller.signal });
+    const queued = pool.run({ value: "queued" }, { name: "echo", timeoutMs: 30000 });
+
+    setTimeout(() => controller.abort(), 200);
+
+    await assert.rejects(running, ToolCancelledError);
+    assert.strictEqual(await queued, "queued", "Queued work should run after cancellation");
+  });
+
+  it("should drop cancelled tasks from the queue", async () => {
+    const pool = createWorkerPool({ workerUrl, size: 1 });
+    const controller = new AbortController();
+    const running = pool.run({ busyMs: 300, value: "first" }, { name: "busy", timeoutMs: 5000 });
+    const queued = pool.run({ value: "second" }, { name: "echo", timeoutMs: 5000, signal: controller.signal });
+
+    controller.abort();
+
+    await assert.rejects(queued, ToolCancelledError);
+    assert.strictEqual(await running, "first");
+  });
+});